@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// ktx2-array: headless merge / split / info for UASTC KTX2 arrays, for build
+// pipelines that can't click through the demo. Exit codes: 0 ok, 1 the
+// inputs or output are bad (incompatible, invalid KTX2), 2 usage error.
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import fg from 'fast-glob';
+import { read } from 'ktx-parse';
+import { LAYER_MANIFEST_KEY, mergeUASTCKTX2ToArray, readLayerManifest, splitUASTCKTX2Array } from '../src/ktx2ArrayMerge.js';
+import { validateKTX2 } from '../src/ktx2Validate.js';
+import { initZstd } from '../src/ktx2Zstd.js';
+
+const USAGE = `Usage:
+  ktx2-array merge <inputs...> -o <out.ktx2> [options]
+  ktx2-array split <array.ktx2> [-o <dir>]
+  ktx2-array info <file.ktx2> [--json]
+
+Inputs may be files or globs (quoted, e.g. "textures/*.ktx2"); glob matches
+are taken in sorted order. Use --manifest to fix the layer order instead.
+
+merge options:
+  -o, --output <file>      output path (required)
+  -m, --manifest <file>    JSON layer list: ["a.ktx2", ...] or
+                           { "layers": ["a.ktx2", { "file": "b.ktx2" }] },
+                           paths relative to the manifest. Object entries
+                           may add "source", "tags" and "duration" (seconds)
+                           for the layer manifest stored in the output;
+                           array inputs keep their own manifest entries
+      --mode <mode>        array | cubemap | cubemap-array | 3d (default array)
+      --scheme <s>         output supercompression: none | zstd
+                           (default: the inputs' shared scheme)
+      --zstd-level <n>     Zstandard level when compressing (default 3)
+      --reconcile          align inputs of different sizes / mip counts
+
+split options:
+  -o, --output <dir>       directory for <name>-<layer>.ktx2 (default .)
+`;
+
+class UsageError extends Error {}
+
+const SCHEMES = { none: 0, zstd: 2 };
+
+function expandInputs(patterns) {
+    return patterns.flatMap((pattern) => {
+        if (!fg.isDynamicPattern(pattern)) return [pattern];
+        const matches = fg.sync(pattern.replace(/\\/g, '/'), { onlyFiles: true }).sort();
+        if (matches.length === 0) throw new UsageError(`No files match '${pattern}'.`);
+        return matches;
+    });
+}
+
+function readManifest(path) {
+    let manifest;
+    try {
+        manifest = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw new UsageError(`Cannot read manifest '${path}': ${err.message}`);
+    }
+    const layers = Array.isArray(manifest) ? manifest : manifest.layers;
+    if (!Array.isArray(layers) || layers.length === 0) {
+        throw new UsageError(`Manifest '${path}' must be a non-empty array or have a non-empty "layers" array.`);
+    }
+    return layers.map((entry, i) => {
+        const { file, ...layer } = typeof entry === 'string' ? { file: entry } : entry ?? {};
+        if (typeof file !== 'string') throw new UsageError(`Manifest '${path}' layer ${i} has no "file".`);
+        return { file: resolve(dirname(path), file), layer: { source: basename(file), ...layer }, annotated: Object.keys(layer).length > 0 };
+    });
+}
+
+function readInput(path) {
+    try {
+        return readFileSync(path);
+    } catch (err) {
+        throw new Error(`Cannot read '${path}': ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+    }
+}
+
+// Name the offending file: the merger only knows input indices
+function checkInputs(files, buffers) {
+    buffers.forEach((buf, i) => {
+        const report = validateKTX2(buf);
+        if (!report.valid) throw new Error(`'${files[i]}' is not a valid KTX2 file:\n  ${report.errors.join('\n  ')}`);
+    });
+    const describe = (c) => `${c.pixelWidth}x${c.pixelHeight}, ${c.levelCount} levels, vkFormat ${c.vkFormat}, scheme ${c.supercompressionScheme}`;
+    return buffers.map((buf, i) => ({ file: files[i], summary: describe(read(buf)) }));
+}
+
+// One manifest entry per output layer. Inputs that are arrays already
+// contribute their own entries (or their file name per layer); a --manifest
+// entry can only describe a single layer, so annotating an array is an error.
+function layerEntries(entries, buffers) {
+    return entries.flatMap((entry, i) => {
+        const layerCount = Math.max(1, read(buffers[i]).layerCount);
+        if (layerCount === 1) return [entry.layer];
+        if (entry.annotated) {
+            throw new UsageError(`'${entry.file}' has ${layerCount} layers; its manifest entry can't say which one "source", "tags" or "duration" belong to. Split it first or drop those fields.`);
+        }
+        const own = readLayerManifest(buffers[i]);
+        return Array.from({ length: layerCount }, (_, layer) => {
+            const { layer: _index, ...found } = own?.find((e) => e.layer === layer) ?? {};
+            return { source: basename(entry.file), ...found };
+        });
+    });
+}
+
+async function merge(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            manifest: { type: 'string', short: 'm' },
+            mode: { type: 'string', default: 'array' },
+            scheme: { type: 'string' },
+            'zstd-level': { type: 'string' },
+            reconcile: { type: 'boolean', default: false }
+        }
+    });
+    if (!values.output) throw new UsageError('merge needs -o <out.ktx2>.');
+    if (values.manifest && positionals.length) throw new UsageError('Pass inputs either on the command line or in --manifest, not both.');
+    if (values.scheme !== undefined && !(values.scheme in SCHEMES)) throw new UsageError(`--scheme must be none or zstd, got '${values.scheme}'.`);
+    const zstdLevel = values['zstd-level'] === undefined ? undefined : Number(values['zstd-level']);
+    if (zstdLevel !== undefined && !Number.isInteger(zstdLevel)) throw new UsageError('--zstd-level must be an integer.');
+
+    const entries = values.manifest
+        ? readManifest(values.manifest)
+        : expandInputs(positionals).map((file) => ({ file, layer: { source: basename(file) } }));
+    if (entries.length === 0) throw new UsageError('merge needs at least one input.');
+    const files = entries.map((e) => e.file);
+
+    await initZstd();
+    const buffers = files.map(readInput);
+    const inputs = checkInputs(files, buffers);
+    const layers = layerEntries(entries, buffers);
+
+    let out;
+    try {
+        out = mergeUASTCKTX2ToArray(buffers, {
+            mode: values.mode,
+            supercompressionScheme: SCHEMES[values.scheme],
+            zstdLevel,
+            reconcile: values.reconcile,
+            layers,
+            onReconcile: (plan) => {
+                for (const input of plan.inputs) {
+                    if (input.droppedLevels.length) {
+                        console.log(`${files[input.input]}: dropped levels ${input.droppedLevels.join(', ')}`);
+                    }
+                }
+            }
+        });
+    } catch (err) {
+        throw new Error(`${err.message}\nInputs:\n${inputs.map((i) => `  ${i.file}: ${i.summary}`).join('\n')}`);
+    }
+
+    writeFileSync(values.output, new Uint8Array(out));
+    console.log(`Wrote ${values.output} (${files.length} inputs, ${values.mode}, ${out.byteLength} bytes).`);
+}
+
+async function split(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: { output: { type: 'string', short: 'o', default: '.' } }
+    });
+    if (positionals.length !== 1) throw new UsageError('split takes exactly one input.');
+    const [file] = positionals;
+
+    await initZstd();
+    const layers = splitUASTCKTX2Array(readInput(file));
+    mkdirSync(values.output, { recursive: true });
+    const stem = basename(file, extname(file));
+    const width = String(layers.length - 1).length;
+    layers.forEach((layer, i) => {
+        const path = join(values.output, `${stem}-${String(i).padStart(width, '0')}.ktx2`);
+        writeFileSync(path, new Uint8Array(layer));
+        console.log(`Wrote ${path}`);
+    });
+}
+
+async function info(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: { json: { type: 'boolean', default: false } }
+    });
+    if (positionals.length !== 1) throw new UsageError('info takes exactly one input.');
+    const [file] = positionals;
+
+    await initZstd();
+    const bytes = readInput(file);
+    const report = validateKTX2(bytes, { decompress: true });
+    let keyValue = {};
+    let manifest = null;
+    try {
+        keyValue = read(bytes).keyValue;
+        manifest = readLayerManifest(bytes);
+    } catch {
+        // already reported by the validator
+    }
+    delete keyValue[LAYER_MANIFEST_KEY]; // shown decoded below
+
+    if (values.json) {
+        const keys = Object.fromEntries(Object.entries(keyValue).map(([k, v]) => [k, typeof v === 'string' ? v : `<${v.byteLength} bytes>`]));
+        console.log(JSON.stringify({ file, ...report, keyValue: keys, layers: manifest }, null, 2));
+    } else {
+        const h = report.header;
+        console.log(file);
+        if (h) {
+            console.log(`  ${h.pixelWidth}x${h.pixelHeight}x${h.pixelDepth}  layers ${h.layerCount}  faces ${h.faceCount}  levels ${h.levelCount}`);
+            console.log(`  vkFormat ${h.vkFormat}  supercompression ${h.supercompressionScheme}`);
+        }
+        for (const [k, v] of Object.entries(keyValue)) {
+            console.log(`  ${k}: ${typeof v === 'string' ? v : `<${v.byteLength} bytes>`}`);
+        }
+        for (const { layer, source, tags, duration } of manifest ?? []) {
+            console.log(
+                `  layer ${layer}: ${source ?? '(unnamed)'}` +
+                (tags?.length ? `  [${tags.join(', ')}]` : '') +
+                (duration !== undefined ? `  ${duration}s` : '')
+            );
+        }
+        if (report.levels.length) {
+            console.log('  level  offset      bytes       uncompressed  images  ok');
+            for (const l of report.levels) {
+                console.log(
+                    `  ${String(l.level).padEnd(5)}  ${String(l.byteOffset).padEnd(10)}  ${String(l.byteLength).padEnd(10)}  ` +
+                    `${String(l.uncompressedByteLength).padEnd(12)}  ${String(l.images).padEnd(6)}  ${l.ok ? 'yes' : 'NO'}`
+                );
+            }
+        }
+        for (const e of report.errors) console.log(`  error: ${e}`);
+        for (const w of report.warnings) console.log(`  warning: ${w}`);
+    }
+    if (!report.valid) process.exitCode = 1;
+}
+
+const COMMANDS = { merge, split, info };
+
+const [command, ...rest] = process.argv.slice(2);
+try {
+    if (command === '-h' || command === '--help') {
+        console.log(USAGE);
+    } else if (!COMMANDS[command]) {
+        throw new UsageError(command ? `Unknown command '${command}'.` : 'No command given.');
+    } else {
+        await COMMANDS[command](rest);
+    }
+} catch (err) {
+    const isUsage = err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS');
+    console.error(`ktx2-array: ${err.message}`);
+    if (isUsage) console.error(`\n${USAGE}`);
+    process.exitCode = isUsage ? 2 : 1;
+}
@@ -0,0 +1,37 @@
+// Validate every bundled .ktx2 under public/ (and any extra paths given).
+// The assets cover NONE and ZSTD, with and without mips, so they double as a
+// corpus for the validator. Exits 1 if any file has errors.
+import { readdirSync, readFileSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { validateKTX2 } from '../src/ktx2Validate.js';
+import { initZstd } from '../src/ktx2Zstd.js';
+
+function findKTX2(path) {
+    if (!statSync(path).isDirectory()) return [path];
+    return readdirSync(path).flatMap((name) => {
+        const child = join(path, name);
+        if (statSync(child).isDirectory()) return findKTX2(child);
+        return name.endsWith('.ktx2') ? [child] : [];
+    });
+}
+
+await initZstd();
+
+const roots = process.argv.length > 2 ? process.argv.slice(2) : ['public'];
+let failed = 0;
+for (const file of roots.flatMap(findKTX2)) {
+    const report = validateKTX2(readFileSync(file), { decompress: true });
+    const { pixelWidth, pixelHeight, layerCount, levelCount, supercompressionScheme } = report.header ?? {};
+    console.log(
+        `${report.valid ? 'ok  ' : 'FAIL'} ${file}` +
+        (report.header ? `  ${pixelWidth}x${pixelHeight} layers=${layerCount} levels=${levelCount} scheme=${supercompressionScheme}` : '')
+    );
+    for (const error of report.errors) console.log(`     error: ${error}`);
+    for (const warning of report.warnings) console.log(`     warning: ${warning}`);
+    if (!report.valid) failed++;
+}
+
+if (failed) {
+    console.error(`${failed} file(s) failed validation.`);
+    process.exit(1);
+}
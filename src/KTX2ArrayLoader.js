@@ -0,0 +1,182 @@
+// KTX2ArrayLoader.js
+// three.js loader that takes a list of single-layer UASTC KTX2 sources (URLs
+// or ArrayBuffers), merges them with mergeUASTCKTX2ToArray and transcodes the
+// result through KTX2Loader. Resolves to { texture, layers, buffer }:
+//   texture  CompressedArrayTexture, even for a single layer
+//   layers   the layer manifest stored in the merged file, or null
+//   buffer   the merged KTX2, e.g. for saving
+//
+//   const loader = new KTX2ArrayLoader(manager)
+//       .setTranscoderPath('./')
+//       .detectSupport(renderer);
+//   const { texture, layers } = await loader.loadAsync(['./a.ktx2', './b.ktx2']);
+//
+// Source files go through FileLoader, so the manager sees each one and
+// THREE.Cache applies; with the cache enabled the merged result is cached too.
+// Give it a KTX2MergeWorker (setMergeWorker) to merge off the main thread.
+import { Cache, CompressedArrayTexture, FileLoader, Loader } from 'three';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { mergeUASTCKTX2ToArray, readLayerManifest } from './ktx2ArrayMerge.js';
+
+// layerCount lives at byte 32 of the KTX2 header
+const headerLayerCount = (buffer) => {
+    const bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer;
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(32, true);
+};
+
+// KTX2Loader returns a plain CompressedTexture for one layer; callers
+// sampling it as sampler2DArray need an array either way
+const asArrayTexture = (texture) => {
+    if (texture.isCompressedArrayTexture) return texture;
+    const { width, height } = texture.image;
+    const array = new CompressedArrayTexture(texture.mipmaps, width, height, 1, texture.format, texture.type);
+    array.colorSpace = texture.colorSpace;
+    array.minFilter = texture.minFilter;
+    array.magFilter = texture.magFilter;
+    array.generateMipmaps = false;
+    array.needsUpdate = true;
+    texture.dispose();
+    return array;
+};
+
+class KTX2ArrayLoader extends Loader {
+
+    constructor(manager) {
+        super(manager);
+        this.ktx2Loader = null;
+        this.ownsKTX2Loader = false;
+        this.mergeWorker = null;
+        this.mergeOptions = {};
+    }
+
+    // Share a configured KTX2Loader (and its transcoder workers) with the
+    // rest of the app instead of creating a second one.
+    // The shared loader is left alone by dispose().
+    setKTX2Loader(ktx2Loader) {
+        this.ktx2Loader = ktx2Loader;
+        this.ownsKTX2Loader = false;
+        return this;
+    }
+
+    // Merge in this KTX2MergeWorker instead of on the calling thread. Sources
+    // are copied to it, not transferred, as they may be shared through the cache.
+    setMergeWorker(mergeWorker) {
+        this.mergeWorker = mergeWorker;
+        return this;
+    }
+
+    setTranscoderPath(path) {
+        this._getKTX2Loader().setTranscoderPath(path);
+        return this;
+    }
+
+    detectSupport(renderer) {
+        this._getKTX2Loader().detectSupport(renderer);
+        return this;
+    }
+
+    // Options passed to mergeUASTCKTX2ToArray (supercompressionScheme,
+    // reconcile, layers, ...). Without `layers`, single-layer URL sources are
+    // named after their file.
+    setMergeOptions(options) {
+        this.mergeOptions = { ...options };
+        return this;
+    }
+
+    load(sources, onLoad, onProgress, onError) {
+        const mergeOptions = this.mergeOptions;
+        const sourceList = sources.map((s) => (typeof s === 'string' ? this.manager.resolveURL(this.path + s) : '<buffer>')).join('|');
+        const cacheKey = sources.every((s) => typeof s === 'string')
+            ? `KTX2ArrayLoader:${JSON.stringify(mergeOptions)}:${sourceList}`
+            : null;
+        const cached = cacheKey && Cache.get(cacheKey);
+
+        // The merged texture is an item of its own, so the manager's onLoad
+        // waits for the merge and transcode, not just the source files
+        const itemKey = `KTX2ArrayLoader:${sourceList}`;
+        this.manager.itemStart(itemKey);
+
+        const fileLoader = new FileLoader(this.manager);
+        fileLoader.setPath(this.path);
+        fileLoader.setResponseType('arraybuffer');
+        fileLoader.setRequestHeader(this.requestHeader);
+        fileLoader.setWithCredentials(this.withCredentials);
+
+        const merged = cached
+            ? Promise.resolve(cached)
+            : Promise.all(sources.map((source) => (typeof source === 'string'
+                ? new Promise((resolve, reject) => fileLoader.load(source, resolve, onProgress, reject))
+                : source
+            ))).then((buffers) => this._merge(buffers, sources, mergeOptions)).then((buffer) => {
+                if (cacheKey) Cache.add(cacheKey, buffer);
+                return buffer;
+            });
+
+        merged
+            .then((buffer) => this._parseMerged(buffer))
+            .then((result) => {
+                onLoad?.(result);
+                this.manager.itemEnd(itemKey);
+            })
+            .catch((err) => {
+                if (onError) onError(err);
+                else console.error(err);
+                this.manager.itemError(itemKey);
+                this.manager.itemEnd(itemKey);
+            });
+    }
+
+    // Merge and transcode sources that are already in memory. The merge
+    // options in effect at the call are used, even if they change meanwhile.
+    parse(buffers, onLoad, onError) {
+        new Promise((resolve) => resolve(this._merge(buffers, buffers)))
+            .then((buffer) => this._parseMerged(buffer))
+            .then((result) => onLoad?.(result))
+            .catch((err) => {
+                if (onError) onError(err);
+                else console.error(err);
+            });
+    }
+
+    parseAsync(buffers) {
+        return new Promise((resolve, reject) => this.parse(buffers, resolve, reject));
+    }
+
+    dispose() {
+        if (this.ownsKTX2Loader) this.ktx2Loader.dispose();
+        return this;
+    }
+
+    _getKTX2Loader() {
+        if (!this.ktx2Loader) {
+            this.ktx2Loader = new KTX2Loader(this.manager);
+            this.ownsKTX2Loader = true;
+        }
+        return this.ktx2Loader;
+    }
+
+    _merge(buffers, sources, mergeOptions = this.mergeOptions) {
+        const options = { ...mergeOptions };
+        const named = sources.some((s) => typeof s === 'string');
+        if (!options.layers && named && buffers.every((buf) => headerLayerCount(buf) <= 1)) {
+            options.layers = sources.map((source) => (typeof source === 'string' ? { source: source.split('/').pop() } : {}));
+        }
+        if (this.mergeWorker) return this.mergeWorker.merge(buffers, { ...options, transfer: false });
+        return mergeUASTCKTX2ToArray(buffers, options);
+    }
+
+    _parseMerged(buffer) {
+        const layers = readLayerManifest(buffer);
+        // KTX2Loader hands its buffer to a worker; keep ours intact for the caller and the cache
+        return new Promise((resolve, reject) => {
+            this._getKTX2Loader().parse(buffer.slice(0), (parsed) => {
+                const texture = asArrayTexture(parsed);
+                texture.userData.layers = layers;
+                resolve({ texture, layers, buffer });
+            }, reject);
+        });
+    }
+
+}
+
+export { KTX2ArrayLoader };
@@ -0,0 +1,102 @@
+// KTX2MergeWorker.js
+// Runs mergeUASTCKTX2ToArray in a module worker so merging hundreds of large
+// layers doesn't freeze the page. One worker serves any number of merges.
+//
+//   const merger = new KTX2MergeWorker();
+//   const buffer = await merger.merge(buffers, {
+//       mode: 'array',
+//       onProgress: ({ done, total }) => { bar.value = done / total; },
+//       signal: controller.signal
+//   });
+//   merger.dispose();
+//
+// Input buffers are transferred to the worker, not copied, so they are
+// detached (empty) here afterwards; pass `transfer: false` to keep them.
+
+// Transfer lists take whole ArrayBuffers; copy views that only cover part of one
+const toArrayBuffer = (buf) => {
+    if (buf instanceof ArrayBuffer) return buf;
+    if (buf.byteOffset === 0 && buf.byteLength === buf.buffer.byteLength) return buf.buffer;
+    return buf.slice().buffer;
+};
+
+class KTX2MergeWorker {
+
+    constructor() {
+        this.worker = null;
+        this.jobs = new Map();
+        this.nextId = 0;
+    }
+
+    // Options: as for mergeUASTCKTX2ToArray and streamMergeUASTCKTX2ToArray
+    // (onProgress, onReconcile and signal run here, on the calling thread),
+    // plus `transfer` (default true). Resolves to the merged ArrayBuffer;
+    // aborting the signal cancels the work in the worker and rejects with
+    // signal.reason.
+    merge(buffers, { onProgress, onReconcile, signal, transfer = true, ...options } = {}) {
+        if (signal?.aborted) return Promise.reject(signal.reason);
+        const worker = this._getWorker();
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                worker.postMessage({ type: 'cancel', id });
+                finish();
+                reject(signal.reason);
+            };
+            const finish = () => {
+                this.jobs.delete(id);
+                signal?.removeEventListener('abort', onAbort);
+            };
+            this.jobs.set(id, {
+                onProgress,
+                onReconcile,
+                resolve: (buffer) => { finish(); resolve(buffer); },
+                reject: (err) => { finish(); reject(err); }
+            });
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            const sent = buffers.map(transfer ? toArrayBuffer : (buf) => buf);
+            worker.postMessage({ type: 'merge', id, buffers: sent, options }, transfer ? [...new Set(sent)] : []);
+        });
+    }
+
+    dispose() {
+        this.worker?.terminate();
+        this.worker = null;
+        for (const job of [...this.jobs.values()]) job.reject(new Error('KTX2MergeWorker was disposed.'));
+        return this;
+    }
+
+    _getWorker() {
+        if (this.worker) return this.worker;
+        this.worker = new Worker(new URL('./ktx2Merge.worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => {
+            const job = this.jobs.get(data.id);
+            if (!job) return; // cancelled
+            switch (data.type) {
+                case 'progress': job.onProgress?.(data.progress); break;
+                case 'reconcile': job.onReconcile?.(data.plan); break;
+                case 'done': job.resolve(data.buffer); break;
+                case 'error': {
+                    const err = new Error(data.message);
+                    err.name = data.name;
+                    job.reject(err);
+                    break;
+                }
+            }
+        };
+        // The worker itself failed (e.g. its script didn't load): nothing pending can finish
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            const err = new Error(`KTX2 merge worker failed: ${event.message ?? 'unknown error'}`);
+            for (const job of [...this.jobs.values()]) job.reject(err);
+            this.worker.terminate();
+            this.worker = null;
+        };
+        return this.worker;
+    }
+
+}
+
+export { KTX2MergeWorker };
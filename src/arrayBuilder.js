@@ -0,0 +1,226 @@
+// arrayBuilder.js
+// Demo panel for building a texture array from dropped .ktx2 files: one row
+// per file with its layer thumbnails, buttons to move or remove it, and its
+// compatibility errors. The panel only keeps the file list. Whenever it
+// changes, onChange gets the files that can be merged, in order, as
+//   { name, buffer, layerCount, supercompressionScheme, layers }
+// (`layers` being their manifest entries), and the caller merges them and
+// hands the layer thumbnails back through setThumbnails().
+import { checkUASTCKTX2Inputs, readLayerManifest } from './ktx2ArrayMerge.js';
+
+const buttonStyle = {
+    padding: '2px 6px',
+    marginLeft: '4px',
+    fontSize: '12px'
+};
+
+// Manifest already in a dropped file (an array built here earlier), if any
+const ownManifest = (buffer) => {
+    try {
+        return readLayerManifest(buffer);
+    } catch {
+        return null; // not KTX2; the check reports it
+    }
+};
+
+// Options:
+// - onChange(files): the mergeable files, see above.
+// - onSelectLayer(layer): a thumbnail was clicked; `layer` is its index in
+//   the merged array, or null when the selection is cleared.
+export function setupArrayBuilder({ onChange, onSelectLayer }) {
+    const files = [];
+    let selected = null;
+
+    const panel = document.createElement('div');
+    Object.assign(panel.style, {
+        position: 'absolute',
+        top: '50px',
+        left: '10px',
+        zIndex: '10',
+        width: '280px',
+        maxHeight: 'calc(100% - 70px)',
+        overflowY: 'auto',
+        padding: '8px 12px',
+        fontSize: '13px',
+        color: '#fff',
+        background: 'rgba(0, 0, 0, 0.5)'
+    });
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.ktx2';
+    input.multiple = true;
+    input.style.display = 'none';
+    input.addEventListener('change', () => {
+        addFiles(input.files);
+        input.value = '';
+    });
+
+    const header = document.createElement('div');
+    header.textContent = 'Drop .ktx2 files anywhere, or ';
+    const browse = document.createElement('button');
+    browse.textContent = 'Add files…';
+    Object.assign(browse.style, buttonStyle, { marginLeft: '0' });
+    browse.addEventListener('click', () => input.click());
+    header.append(browse, input);
+
+    const status = document.createElement('div');
+    status.style.margin = '6px 0';
+    status.style.opacity = '0.8';
+
+    const list = document.createElement('div');
+    panel.append(header, status, list);
+    document.body.appendChild(panel);
+
+    // The whole page is a drop target
+    window.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        panel.style.outline = '2px dashed #fff';
+    });
+    window.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) panel.style.outline = '';
+    });
+    window.addEventListener('drop', (e) => {
+        e.preventDefault();
+        panel.style.outline = '';
+        addFiles(e.dataTransfer.files);
+    });
+
+    async function addFiles(fileList) {
+        const dropped = await Promise.all(
+            [...fileList].map(async (file) => ({ name: file.name, buffer: await file.arrayBuffer() }))
+        );
+        add(dropped);
+    }
+
+    function add(items) {
+        for (const { name, buffer, layers = null } of items) {
+            files.push({ name, buffer, layers, manifest: layers ? null : ownManifest(buffer), thumbnails: [] });
+        }
+        changed();
+    }
+
+    function move(index, by) {
+        const to = index + by;
+        if (to < 0 || to >= files.length) return;
+        [files[index], files[to]] = [files[to], files[index]];
+        changed();
+    }
+
+    function remove(index) {
+        files.splice(index, 1);
+        changed();
+    }
+
+    function changed() {
+        // Mixed schemes are fine: the merge transcodes to the first file's
+        const checks = checkUASTCKTX2Inputs(files.map((f) => f.buffer), { mixedSchemes: true });
+        files.forEach((file, i) => Object.assign(file, checks[i]));
+        if (selected !== null) {
+            selected = null;
+            onSelectLayer?.(null);
+        }
+        render();
+        onChange(files.filter((f) => f.errors.length === 0).map((f) => ({
+            name: f.name,
+            buffer: f.buffer,
+            layerCount: f.layerCount,
+            supercompressionScheme: f.supercompressionScheme,
+            layers: f.layers ?? Array.from({ length: f.layerCount }, (_, i) => (
+                f.manifest?.find((entry) => entry.layer === i) ?? { source: f.name }
+            ))
+        })));
+    }
+
+    function render() {
+        list.replaceChildren();
+        let layer = 0; // index in the merged array of each file's first layer
+        files.forEach((file, index) => {
+            const row = document.createElement('div');
+            row.style.padding = '6px 0';
+            row.style.borderTop = '1px solid rgba(255, 255, 255, 0.2)';
+
+            const title = document.createElement('div');
+            title.style.display = 'flex';
+            title.style.alignItems = 'center';
+            const name = document.createElement('span');
+            name.style.flex = '1';
+            name.style.overflow = 'hidden';
+            name.style.textOverflow = 'ellipsis';
+            name.style.whiteSpace = 'nowrap';
+            name.textContent = file.errors.length || file.layerCount === 1
+                ? file.name
+                : `${file.name} (${file.layerCount} layers)`;
+            name.title = file.name;
+            title.append(name);
+            for (const [label, tip, action, disabled] of [
+                ['↑', 'Move up', () => move(index, -1), index === 0],
+                ['↓', 'Move down', () => move(index, 1), index === files.length - 1],
+                ['✕', 'Remove', () => remove(index), false]
+            ]) {
+                const btn = document.createElement('button');
+                btn.textContent = label;
+                btn.title = tip;
+                btn.disabled = disabled;
+                Object.assign(btn.style, buttonStyle);
+                btn.addEventListener('click', action);
+                title.append(btn);
+            }
+            row.append(title);
+
+            if (file.errors.length) {
+                const errors = document.createElement('ul');
+                errors.style.margin = '4px 0 0';
+                errors.style.paddingLeft = '18px';
+                errors.style.color = '#f88';
+                for (const message of file.errors) {
+                    const item = document.createElement('li');
+                    item.textContent = message;
+                    errors.append(item);
+                }
+                row.append(errors);
+            } else {
+                const thumbs = document.createElement('div');
+                thumbs.style.display = 'flex';
+                thumbs.style.flexWrap = 'wrap';
+                thumbs.style.gap = '4px';
+                thumbs.style.marginTop = '4px';
+                file.thumbnails.forEach((canvas, i) => {
+                    const target = layer + i;
+                    canvas.title = `Layer ${target}`;
+                    canvas.style.cursor = 'pointer';
+                    canvas.style.outline = target === selected ? '2px solid #fff' : '';
+                    canvas.onclick = () => {
+                        selected = target === selected ? null : target;
+                        onSelectLayer?.(selected);
+                        render();
+                    };
+                    thumbs.append(canvas);
+                });
+                row.append(thumbs);
+                layer += file.layerCount;
+            }
+            list.append(row);
+        });
+    }
+
+    return {
+        // Add files that are already loaded: [{ name, buffer, layers? }]
+        add,
+        setStatus(text) {
+            status.textContent = text;
+        },
+        // Thumbnails for the merged layers, in order; they stay with their
+        // files when the list is reordered
+        setThumbnails(canvases) {
+            let next = 0;
+            for (const file of files) {
+                if (file.errors.length) continue;
+                file.thumbnails = canvases.slice(next, next + file.layerCount);
+                next += file.layerCount;
+            }
+            render();
+        }
+    };
+}
@@ -1,11 +1,86 @@
 // ktx2ArrayMerge.browser.js
-// Merge multiple UASTC KTX2 buffers into a single 2D texture array.
-// Supports supercompression NONE (0) and ZSTD (2).
+// Merge multiple UASTC KTX2 buffers into a single 2D texture array, or into a
+// cubemap, cubemap array or 3D (volume) texture.
+// Can also pack the inputs side by side into a single 2D atlas.
+// Also splits an array back into single-layer files and edits its layers
+// (append / insert / remove / reorder) without rebuilding from sources.
+// Supports supercompression NONE (0) and ZSTD (2); mixed inputs are
+// transcoded to a requested output scheme (see ktx2Zstd.js).
+// Large merges can run in slices with progress and cancellation
+// (streamMergeUASTCKTX2ToArray), or in a worker (KTX2MergeWorker.js).
 import { read, write } from 'ktx-parse';
+import { validateKTX2 } from './ktx2Validate.js';
+import { isZstdReady, zstdCompress, zstdDecompress, zstdFrameRanges } from './ktx2Zstd.js';
 
-export function mergeUASTCKTX2ToArray(buffers) {
-    const containers = buffers.map((buf) => read(new Uint8Array(buf)));
+// Key/value entries written as JSON. Custom keys must not start with "KTX".
+// Atlas layout, see packUASTCKTX2ToAtlas.
+export const ATLAS_LAYOUT_KEY = 'uastcAtlasLayout';
+// Per-layer manifest: [{ layer, source, tags?, duration? }], see mergeUASTCKTX2ToArray.
+export const LAYER_MANIFEST_KEY = 'uastcLayerManifest';
+
+const uastcBytesPerImage = (w, h, level) => {
+    const wL = Math.max(1, w >> level);
+    const hL = Math.max(1, h >> level);
+    const blocksX = Math.ceil(wL / 4);
+    const blocksY = Math.ceil(hL / 4);
+    return blocksX * blocksY * 16; // 16 bytes per 4x4 block
+};
+const pad8 = (n) => (8 - (n % 8)) % 8; // KTX2 uses 8-byte alignment for image slices
+
+const concatBytes = (parts) => {
+    let totalLen = 0;
+    for (const p of parts) totalLen += p.byteLength;
+    const merged = new Uint8Array(totalLen);
+    let off = 0;
+    for (const p of parts) { merged.set(p, off); off += p.byteLength; }
+    return merged;
+};
+
+const readJSONEntry = (container, key) => {
+    const value = container.keyValue[key];
+    if (value === undefined) return null;
+    return JSON.parse(typeof value === 'string' ? value : new TextDecoder().decode(value).replace(/\0+$/, ''));
+};
+
+// Manifest entries for each layer of a container, or null if it has none.
+const readManifestEntries = (container) => {
+    const manifest = readJSONEntry(container, LAYER_MANIFEST_KEY);
+    if (!manifest) return null;
+    const count = Math.max(1, container.layerCount);
+    return Array.from({ length: count }, (_, i) => manifest.find((entry) => entry.layer === i) ?? {});
+};
 
+// Check caller-supplied manifest entries, one per output layer.
+function normalizeManifest(entries, layerCount) {
+    if (!Array.isArray(entries) || entries.length !== layerCount) {
+        throw new Error(`Layer manifest needs one entry per layer (${layerCount}), got ${Array.isArray(entries) ? entries.length : typeof entries}.`);
+    }
+    return entries.map((entry = {}, i) => {
+        const { source, tags, duration } = entry ?? {};
+        if (source !== undefined && typeof source !== 'string') throw new Error(`Layer ${i} source must be a string.`);
+        if (tags !== undefined && (!Array.isArray(tags) || tags.some((t) => typeof t !== 'string'))) {
+            throw new Error(`Layer ${i} tags must be an array of strings.`);
+        }
+        if (duration !== undefined && !(Number.isFinite(duration) && duration > 0)) {
+            throw new Error(`Layer ${i} duration must be a positive number of seconds.`);
+        }
+        return { ...entry };
+    });
+}
+
+// Carry the template's key/value data over, minus per-layer entries that no
+// longer describe the output, and write the manifest if there is one.
+function keyValueFor(template, manifest) {
+    const keyValue = { ...(template.keyValue || {}) };
+    delete keyValue[LAYER_MANIFEST_KEY];
+    delete keyValue[ATLAS_LAYOUT_KEY];
+    if (manifest) {
+        keyValue[LAYER_MANIFEST_KEY] = JSON.stringify(manifest.map(({ layer: _, ...entry }, layer) => ({ layer, ...entry })));
+    }
+    return keyValue;
+}
+
+function assertCompatible(containers, { mixedSchemes = false, mixedSizes = false } = {}) {
     const H = containers[0];
     const w = H.pixelWidth;
     const h = H.pixelHeight;
@@ -17,103 +92,593 @@ export function mergeUASTCKTX2ToArray(buffers) {
     for (let i = 1; i < containers.length; i++) {
         const hi = containers[i];
         if (
-            hi.pixelWidth !== w ||
-            hi.pixelHeight !== h ||
-            hi.levelCount !== lvls ||
+            (!mixedSizes && (hi.pixelWidth !== w || hi.pixelHeight !== h || hi.levelCount !== lvls)) ||
             hi.vkFormat !== 0 ||
-            hi.supercompressionScheme !== scheme
+            (!mixedSchemes && hi.supercompressionScheme !== scheme)
         ) throw new Error('All inputs must be UASTC KTX2 with identical size, mip count, and supercompression.');
+        if (hi.supercompressionScheme !== 0 && hi.supercompressionScheme !== 2) {
+            throw new Error('Only supercompression NONE (0) or ZSTD (2) is supported.');
+        }
     }
+}
 
-    const layerCount = containers.length;
-    const mergedLevels = new Array(lvls);
+// Line up the mip chains of differently sized inputs. The smallest input
+// sets the common base size; larger inputs drop top levels until their base
+// matches it, then every chain is trimmed to the shortest remaining tail.
+function planMipAlignment(containers) {
+    const baseW = Math.min(...containers.map((c) => c.pixelWidth));
+    const baseH = Math.min(...containers.map((c) => c.pixelHeight));
+
+    const firstLevels = containers.map((c, i) => {
+        for (let level = 0; level < c.levelCount; level++) {
+            if (Math.max(1, c.pixelWidth >> level) === baseW && Math.max(1, c.pixelHeight >> level) === baseH) return level;
+        }
+        throw new Error(
+            `Input ${i} (${c.pixelWidth}x${c.pixelHeight}, ${c.levelCount} levels) has no mip level of ` +
+            `${baseW}x${baseH} to align with the smallest input.`
+        );
+    });
+    const levelCount = Math.min(...containers.map((c, i) => c.levelCount - firstLevels[i]));
 
-    const uastcBytesPerImageAtLevel = (level) => {
-        const wL = Math.max(1, w >> level);
-        const hL = Math.max(1, h >> level);
-        const blocksX = Math.ceil(wL / 4);
-        const blocksY = Math.ceil(hL / 4);
-        return blocksX * blocksY * 16; // 16 bytes per 4x4 block
+    return {
+        pixelWidth: baseW,
+        pixelHeight: baseH,
+        levelCount,
+        inputs: containers.map((c, i) => {
+            const firstLevel = firstLevels[i];
+            const droppedLevels = [];
+            for (let level = 0; level < c.levelCount; level++) {
+                if (level < firstLevel || level >= firstLevel + levelCount) droppedLevels.push(level);
+            }
+            return { input: i, pixelWidth: c.pixelWidth, pixelHeight: c.pixelHeight, levelCount: c.levelCount, firstLevel, droppedLevels };
+        })
     };
-    const pad8 = (n) => (8 - (n % 8)) % 8; // KTX2 uses 8-byte alignment for image slices
+}
+
+function shapeForMode(mode, imageCount) {
+    switch (mode) {
+        case 'array':
+            return { layerCount: imageCount };
+        case 'cubemap':
+            if (imageCount !== 6) throw new Error(`Cubemap mode needs exactly 6 inputs, got ${imageCount}.`);
+            return { faceCount: 6 };
+        case 'cubemap-array':
+            if (imageCount === 0 || imageCount % 6 !== 0) throw new Error(`Cubemap-array mode needs a multiple of 6 inputs, got ${imageCount}.`);
+            return { layerCount: imageCount / 6, faceCount: 6 };
+        case '3d':
+            return { pixelDepth: imageCount };
+        default:
+            throw new Error(`Unknown merge mode '${mode}'.`);
+    }
+}
+
+const resolveScheme = (containers, scheme) => {
+    if (scheme === undefined) return containers[0].supercompressionScheme;
+    if (scheme !== 0 && scheme !== 2) throw new Error('Output supercompression must be NONE (0) or ZSTD (2).');
+    return scheme;
+};
+
+// Bring one image to the target scheme: inflate ZSTD payloads for NONE,
+// deflate raw UASTC for ZSTD. `exact` is the UASTC image size at this level.
+function transcodeImage(image, scheme, exact, zstdLevel) {
+    if (image.scheme === scheme) return image;
+    if (scheme === 0) {
+        const raw = zstdDecompress(image.bytes, image.uncompressedByteLength);
+        return { bytes: raw, uncompressedByteLength: raw.byteLength, scheme };
+    }
+    return { bytes: zstdCompress(image.bytes.subarray(0, exact), zstdLevel), uncompressedByteLength: exact, scheme };
+}
+
+// UASTC's DFD declares 16 bytes per plane when stored raw and 0 when
+// supercompressed, so it has to follow the output scheme.
+function dataFormatDescriptorFor(template, scheme) {
+    if (template.supercompressionScheme === scheme) return template.dataFormatDescriptor;
+    return template.dataFormatDescriptor.map((dfd, i) => {
+        if (i !== 0) return dfd;
+        const bytesPlane = [...dfd.bytesPlane];
+        bytesPlane[0] = (scheme === 0) ? 16 : 0;
+        return { ...dfd, bytesPlane };
+    });
+}
+
+// Slice every level of a container into per-layer images.
+// Returns layers[layer][level] = { bytes, uncompressedByteLength, scheme }.
+function extractLayers(container) {
+    const { pixelWidth: w, pixelHeight: h, levelCount: lvls, supercompressionScheme: scheme } = container;
+    if (container.faceCount !== 1 || container.pixelDepth > 1) {
+        throw new Error('Only 2D textures and 2D arrays can be split into layers.');
+    }
+    const layerCount = Math.max(1, container.layerCount);
+    const layers = Array.from({ length: layerCount }, () => new Array(lvls));
 
     for (let level = 0; level < lvls; level++) {
-        const parts = [];
-        let totalUnc = 0;
+        const bytes = container.levels[level]?.levelData;
+        if (!bytes) throw new Error(`Missing levelData for level ${level}.`);
+        const exact = uastcBytesPerImage(w, h, level);
+
+        if (scheme === 0) {
+            const stride = exact + pad8(exact);
+            if (bytes.byteLength < stride * (layerCount - 1) + exact) {
+                throw new Error(`Level ${level} smaller than expected for ${layerCount} UASTC images (${bytes.byteLength} bytes).`);
+            }
+            for (let layer = 0; layer < layerCount; layer++) {
+                const start = layer * stride;
+                layers[layer][level] = { bytes: bytes.subarray(start, start + exact), uncompressedByteLength: exact, scheme };
+            }
+            continue;
+        }
+
+        // ZSTD: layers compressed as separate frames can be cut apart as-is
+        const ranges = zstdFrameRanges(bytes);
+        if (ranges.length === layerCount) {
+            const unc = (layerCount === 1) ? (container.levels[level].uncompressedByteLength || exact) : exact;
+            for (let layer = 0; layer < layerCount; layer++) {
+                const [start, end] = ranges[layer];
+                layers[layer][level] = { bytes: bytes.subarray(start, end), uncompressedByteLength: unc, scheme };
+            }
+            continue;
+        }
 
+        // Otherwise the whole level is one stream and has to be inflated first
+        if (!isZstdReady()) {
+            throw new Error(`Level ${level} holds ${ranges.length} Zstandard frames for ${layerCount} layers; await initZstd() so it can be decompressed.`);
+        }
+        const raw = zstdDecompress(bytes, container.levels[level].uncompressedByteLength);
+        const stride = exact + pad8(exact);
+        if (raw.byteLength < stride * (layerCount - 1) + exact) {
+            throw new Error(`Level ${level} inflates to ${raw.byteLength} bytes, too small for ${layerCount} UASTC images.`);
+        }
         for (let layer = 0; layer < layerCount; layer++) {
-            const src = containers[layer];
-            const lvl = src.levels[level];
-            const bytes = lvl.levelData;
-            if (!bytes) throw new Error(`Missing levelData for layer ${layer}, level ${level}.`);
+            const start = layer * stride;
+            layers[layer][level] = { bytes: raw.subarray(start, start + exact), uncompressedByteLength: exact, scheme: 0 };
+        }
+    }
+    return layers;
+}
+
+// Build a container from per-image sources, already in layers → faces → depth
+// order. `shape` gives the container's layerCount, faceCount and pixelDepth:
+// layerCount 0 with faceCount 1 and pixelDepth 0 writes a plain 2D texture.
+// Images not already in `scheme` are transcoded.
+//
+// Levels are written incrementally, smallest first as they are stored: each
+// image is appended as its own chunk (a view of the input when no transcoding
+// is needed) and the level index is filled in once a level is done, so no
+// merged copy of a level is ever built. Yields after every image with
+//   { level, layer, levelCount, layerCount, done, total, bytesWritten }
+// where layerCount is the number of images in that level, and returns the
+// chunks, header first. See assembleLayers / streamMergeUASTCKTX2ToArray.
+function* assembleLevels(template, layers, shape, scheme = template.supercompressionScheme, zstdLevel = 3) {
+    const { pixelWidth: w, pixelHeight: h, levelCount: lvls } = template;
+    const { layerCount = 0, faceCount = 1, pixelDepth = 0 } = shape;
+    // Volumes halve in depth too; keep every 2^level-th slice (nearest in z)
+    const imagesAt = (level) => (pixelDepth
+        ? layers.filter((_, i) => i % (1 << level) === 0).slice(0, Math.max(1, pixelDepth >> level))
+        : layers);
+
+    // Header, level index, DFD and key/value data, with an empty level index.
+    // ktx-parse derives NONE's level alignment from level 0's data, which is
+    // empty here, so the head is written as ZSTD and the scheme patched after.
+    const head = write({
+        vkFormat: 0,
+        typeSize: template.typeSize || 1,
+        pixelWidth: w,
+        pixelHeight: h,
+        pixelDepth,
+        layerCount,
+        faceCount,
+        levelCount: lvls,
+        supercompressionScheme: 2,
+        dataFormatDescriptor: dataFormatDescriptorFor(template, scheme),
+        keyValue: template.keyValue || {},
+        globalData: null,
+        levels: Array.from({ length: lvls }, () => ({ levelData: new Uint8Array(0), uncompressedByteLength: 0 }))
+    });
+    new DataView(head.buffer, head.byteOffset).setUint32(44, scheme, true);
+    const index = new DataView(head.buffer, head.byteOffset + 80, lvls * 24);
+    const chunks = [head];
+    // NONE levels start on a UASTC block (lcm(16, 4)); ZSTD needs no alignment
+    const alignment = (scheme === 0) ? 16 : 1;
+    let bytesWritten = head.byteLength;
+
+    let total = 0;
+    for (let level = 0; level < lvls; level++) total += imagesAt(level).length;
+    let done = 0;
+
+    for (let level = lvls - 1; level >= 0; level--) {
+        const padding = (alignment - (bytesWritten % alignment)) % alignment;
+        if (padding) {
+            chunks.push(new Uint8Array(padding));
+            bytesWritten += padding;
+        }
+        const levelOffset = bytesWritten;
+        let totalUnc = 0;
+        const images = imagesAt(level);
+        const exact = uastcBytesPerImage(w, h, level);
+
+        for (let layer = 0; layer < images.length; layer++) {
+            const image = transcodeImage(images[layer][level], scheme, exact, zstdLevel);
+            const bytes = image.bytes;
 
             if (scheme === 0) {
-                const exact = uastcBytesPerImageAtLevel(level);
                 if (bytes.byteLength < exact) {
                     throw new Error(`Layer ${layer} level ${level} smaller than expected UASTC size (${bytes.byteLength} < ${exact}).`);
                 }
-                const trimmed = bytes.subarray(0, exact);
-                const p = pad8(trimmed.byteLength);
-                if (p) {
-                    const padded = new Uint8Array(trimmed.byteLength + p);
-                    padded.set(trimmed, 0);
-                    parts.push(padded);
-                } else {
-                    parts.push(trimmed);
-                }
+                chunks.push(bytes.subarray(0, exact));
+                const p = pad8(exact);
+                if (p) chunks.push(new Uint8Array(p));
+                bytesWritten += exact + p;
+                // For NONE equals the stored size, including per-image 8B padding
+                totalUnc += exact + p;
             } else {
                 // ZSTD: keep compressed bytes; sum uncompressed
-                parts.push(bytes);
-                const unc = lvl.uncompressedByteLength ?? uastcBytesPerImageAtLevel(level);
-                totalUnc += unc;
+                chunks.push(bytes);
+                bytesWritten += bytes.byteLength;
+                totalUnc += image.uncompressedByteLength;
             }
+            done++;
+            yield { level, layer, levelCount: lvls, layerCount: images.length, done, total, bytesWritten };
         }
 
-        // Concatenate layer payloads (order: layers → faces → depth)
-        let totalLen = 0;
-        for (const p of parts) totalLen += p.byteLength;
-        const merged = new Uint8Array(totalLen);
-        let off = 0;
-        for (const p of parts) { merged.set(p, off); off += p.byteLength; }
+        index.setBigUint64(level * 24, BigInt(levelOffset), true);
+        index.setBigUint64(level * 24 + 8, BigInt(bytesWritten - levelOffset), true);
+        index.setBigUint64(level * 24 + 16, BigInt(totalUnc), true);
+    }
+    return chunks;
+}
 
-        mergedLevels[level] = {
-            levelData: merged,
-            // Always set: for NONE equals concatenated size (including per-image 8B padding)
-            uncompressedByteLength: (scheme === 0) ? totalLen : totalUnc
-        };
+// Check our own output against the spec before handing it out.
+function checkWritten(written) {
+    const report = validateKTX2(written);
+    if (!report.valid) throw new Error(`Merged KTX2 failed validation:\n${report.errors.join('\n')}`);
+    for (const warning of report.warnings) console.warn(`KTX2 validation: ${warning}`);
+    return written.buffer;
+}
 
-        // Sanity log
-        if (scheme === 0) {
-            const expectPerImage = uastcBytesPerImageAtLevel(level);
-            const perImageWithPad = expectPerImage + pad8(expectPerImage);
-            const expectTotal = perImageWithPad * layerCount;
-            if (merged.byteLength !== expectTotal) {
-                console.warn(
-                    `Level ${level} size mismatch: got ${merged.byteLength}, expected ${expectTotal} = ` +
-                    `${layerCount} * (image ${expectPerImage} + pad ${pad8(expectPerImage)})`
-                );
-            } else {
-                console.log(`Level ${level}: ${merged.byteLength} bytes OK (${layerCount} slices @ ${perImageWithPad}).`);
+function assembleLayers(template, layers, shape, scheme, zstdLevel) {
+    const steps = assembleLevels(template, layers, shape, scheme, zstdLevel);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return checkWritten(concatBytes(step.value));
+}
+
+// Parse, check and line up the inputs of a merge, see mergeUASTCKTX2ToArray.
+function prepareMerge(buffers, { supercompressionScheme, zstdLevel, reconcile = false, onReconcile, mode = 'array', layers: manifest } = {}) {
+    const containers = buffers.map((buf) => read(new Uint8Array(buf)));
+    assertCompatible(containers, { mixedSchemes: supercompressionScheme !== undefined, mixedSizes: reconcile });
+    const scheme = resolveScheme(containers, supercompressionScheme);
+
+    let template = containers[0];
+    let plan = null;
+    if (reconcile) {
+        plan = planMipAlignment(containers);
+        const { pixelWidth, pixelHeight, levelCount } = plan;
+        template = { ...template, pixelWidth, pixelHeight, levelCount };
+        onReconcile?.(plan);
+    }
+
+    const layers = [];
+    containers.forEach((c, i) => {
+        const extracted = extractLayers(c);
+        if (!plan) return layers.push(...extracted);
+        const { firstLevel } = plan.inputs[i];
+        for (const layer of extracted) layers.push(layer.slice(firstLevel, firstLevel + plan.levelCount));
+    });
+    const shape = shapeForMode(mode, layers.length);
+    if (shape.faceCount === 6 && template.pixelWidth !== template.pixelHeight) {
+        throw new Error(`Cubemap faces must be square, got ${template.pixelWidth}x${template.pixelHeight}.`);
+    }
+
+    if (manifest) {
+        manifest = normalizeManifest(manifest, layers.length);
+    } else {
+        const inherited = containers.map(readManifestEntries);
+        if (inherited.some(Boolean)) {
+            manifest = inherited.flatMap((entries, i) => entries ?? Array.from({ length: Math.max(1, containers[i].layerCount) }, () => ({})));
+        }
+    }
+    template = { ...template, keyValue: keyValueFor(template, manifest) };
+    return { template, layers, shape, scheme, zstdLevel };
+}
+
+// Options:
+// - supercompressionScheme: output scheme, 0 (NONE) or 2 (ZSTD). When set,
+//   inputs may mix schemes and are transcoded to it (await initZstd() first).
+//   Defaults to the inputs' shared scheme.
+// - zstdLevel: compression level used when deflating to ZSTD. Default 3.
+// - reconcile: accept inputs of different sizes and mip counts, aligning
+//   their mip chains (see planMipAlignment). Default false.
+// - onReconcile: called with the alignment report, listing which levels
+//   were dropped from which input.
+// - mode: output texture type. Default 'array'.
+//   'array'          2D array, one layer per input.
+//   'cubemap'        6 inputs as faces +X, -X, +Y, -Y, +Z, -Z.
+//   'cubemap-array'  a multiple of 6 inputs, six faces per cube in turn.
+//   '3d'             inputs as depth slices of a volume. Mip level k keeps
+//                    every 2^k-th slice, since UASTC can't be filtered in z.
+// - layers: per-layer manifest, one { source, tags, duration } entry per
+//   output layer (all fields optional; duration in seconds). Stored as JSON
+//   under LAYER_MANIFEST_KEY; read it back with readLayerManifest(). Defaults
+//   to the inputs' own manifests, if any of them has one.
+export function mergeUASTCKTX2ToArray(buffers, options) {
+    const { template, layers, shape, scheme, zstdLevel } = prepareMerge(buffers, options);
+    return assembleLayers(template, layers, shape, scheme, zstdLevel);
+}
+
+// mergeUASTCKTX2ToArray for large merges: same options and result, but runs
+// in slices so the thread stays responsive (see KTX2MergeWorker to move it
+// off the main thread altogether). Extra options:
+// - onProgress: called after every image with
+//   { level, layer, levelCount, layerCount, done, total, bytesWritten }.
+//   Levels are written smallest first.
+// - signal: AbortSignal; aborting rejects with signal.reason.
+// The result is still one ArrayBuffer, so the inputs and the output are in
+// memory together at the end; joining and validating it are the two steps
+// that can't be sliced, and an abort is honoured before each.
+export async function streamMergeUASTCKTX2ToArray(buffers, { onProgress, signal, ...options } = {}) {
+    const pause = () => new Promise((resolve) => setTimeout(resolve, 0));
+    signal?.throwIfAborted();
+    const { template, layers, shape, scheme, zstdLevel } = prepareMerge(buffers, options);
+    const steps = assembleLevels(template, layers, shape, scheme, zstdLevel);
+    let sliceStart = performance.now();
+    let step = steps.next();
+    while (!step.done) {
+        onProgress?.(step.value);
+        // Give the event loop (and an abort) a turn every frame or so
+        if (performance.now() - sliceStart > 16) {
+            await pause();
+            sliceStart = performance.now();
+        }
+        signal?.throwIfAborted();
+        step = steps.next();
+    }
+
+    await pause();
+    signal?.throwIfAborted();
+    const written = concatBytes(step.value);
+    await pause();
+    signal?.throwIfAborted();
+    return checkWritten(written);
+}
+
+// Per-input version of the checks mergeUASTCKTX2ToArray makes, for tools that
+// list files: returns one { layerCount, supercompressionScheme, errors } per
+// input. Each input is compared with the first one that has no errors of its
+// own; inputs without errors merge together under the same options.
+export function checkUASTCKTX2Inputs(buffers, { mixedSchemes = false, mixedSizes = false } = {}) {
+    let reference = null;
+    return buffers.map((buf) => {
+        const report = validateKTX2(buf);
+        if (!report.valid) return { layerCount: 0, supercompressionScheme: null, errors: report.errors };
+
+        const c = read(new Uint8Array(buf));
+        const scheme = c.supercompressionScheme;
+        const errors = [];
+        if (c.vkFormat !== 0) errors.push(`vkFormat must be 0 (Basis UASTC), got ${c.vkFormat}.`);
+        if (scheme !== 0 && scheme !== 2) errors.push(`Supercompression ${scheme} is not supported, only NONE (0) or ZSTD (2).`);
+        if (c.faceCount !== 1 || c.pixelDepth > 0) errors.push('Cubemaps and 3D textures cannot be merged as layers.');
+        if (!errors.length && reference) {
+            const { pixelWidth: w, pixelHeight: h, levelCount: lvls } = reference;
+            if (!mixedSizes && (c.pixelWidth !== w || c.pixelHeight !== h || c.levelCount !== lvls)) {
+                errors.push(`${c.pixelWidth}x${c.pixelHeight} with ${c.levelCount} levels; the array is ${w}x${h} with ${lvls}.`);
+            }
+            if (!mixedSchemes && scheme !== reference.supercompressionScheme) {
+                errors.push(`Supercompression ${scheme}; the array uses ${reference.supercompressionScheme}.`);
             }
         }
+        if (!errors.length) reference ??= c;
+        return { layerCount: Math.max(1, c.layerCount), supercompressionScheme: scheme, errors };
+    });
+}
+
+// Dry run of the `reconcile` merge option: report the common base size and
+// level count, and the levels each input would lose, without merging.
+export function planUASTCKTX2Reconciliation(buffers) {
+    const containers = buffers.map((buf) => read(new Uint8Array(buf)));
+    assertCompatible(containers, { mixedSchemes: true, mixedSizes: true });
+    return planMipAlignment(containers);
+}
+
+// Rewrite an existing texture or array with another supercompression scheme.
+export function convertKTX2Supercompression(buffer, supercompressionScheme, { zstdLevel } = {}) {
+    const container = read(new Uint8Array(buffer));
+    assertCompatible([container]);
+    const scheme = resolveScheme([container], supercompressionScheme);
+    return assembleLayers(container, extractLayers(container), { layerCount: container.layerCount }, scheme, zstdLevel);
+}
+
+// Re-label a cubemap, cubemap array or volume as a plain 2D array so it can be
+// transcoded and sampled as sampler2DArray where the real sampler type isn't
+// available (WebGL2 has no samplerCubeArray, and the Basis transcoder rejects
+// 3D textures). Cube faces become layers cube * 6 + face with every level kept;
+// volume slices become layers of level 0 only, since deeper levels hold fewer.
+export function flattenKTX2ToArray(buffer) {
+    const container = read(new Uint8Array(buffer));
+    if (container.pixelDepth > 0) {
+        container.layerCount = container.pixelDepth;
+        container.pixelDepth = 0;
+        container.levelCount = 1;
+        container.levels = container.levels.slice(0, 1);
+    } else {
+        container.layerCount = Math.max(1, container.layerCount) * container.faceCount;
+        container.faceCount = 1;
     }
+    return write(container).buffer;
+}
 
-    const out = {
-        vkFormat: 0,
-        typeSize: H.typeSize || 1,
-        pixelWidth: w,
-        pixelHeight: h,
-        pixelDepth: 0,
-        layerCount,
-        faceCount: 1,
-        levelCount: lvls,
-        supercompressionScheme: scheme,
-        dataFormatDescriptor: H.dataFormatDescriptor,
-        keyValue: H.keyValue || {},
-        globalData: null,
-        levels: mergedLevels
+// Pack N inputs into a grid atlas by copying whole 4x4 UASTC blocks, so no
+// re-encoding is needed. Every level is packed the same way; levels stop
+// where a tile (or the gutter) would no longer be a whole number of blocks.
+// Options:
+// - columns: grid width in tiles. Default ceil(sqrt(N)).
+// - gutter: blocks of padding around each tile at level 0, filled by
+//   repeating the tile's edge blocks to limit bleeding. Default 0.
+// - supercompressionScheme / zstdLevel: as for mergeUASTCKTX2ToArray.
+//   ZSTD inputs are inflated to reach the blocks (await initZstd() first).
+// Unused grid cells repeat the last tile. The layout, including UV rects per
+// layer (origin at the first row of the image), is stored as JSON under
+// ATLAS_LAYOUT_KEY; read it back with readAtlasLayout().
+export function packUASTCKTX2ToAtlas(buffers, { columns, gutter = 0, supercompressionScheme, zstdLevel } = {}) {
+    const containers = buffers.map((buf) => read(new Uint8Array(buf)));
+    assertCompatible(containers, { mixedSchemes: true });
+    const scheme = resolveScheme(containers, supercompressionScheme);
+
+    const H = containers[0];
+    const { pixelWidth: w, pixelHeight: h } = H;
+    if (w % 4 || h % 4) throw new Error(`Atlas tiles must be a multiple of 4 pixels, got ${w}x${h}.`);
+    if (!Number.isInteger(gutter) || gutter < 0) throw new Error(`Gutter must be a whole number of blocks, got ${gutter}.`);
+
+    const layers = containers.flatMap(extractLayers);
+    const count = layers.length;
+    const cols = columns ?? Math.ceil(Math.sqrt(count));
+    if (!Number.isInteger(cols) || cols < 1) throw new Error(`Columns must be a positive whole number, got ${columns}.`);
+    const rows = Math.ceil(count / cols);
+
+    let levelCount = 0;
+    while (
+        levelCount < H.levelCount &&
+        ((w >> levelCount) % 4 === 0) && (w >> levelCount) > 0 &&
+        ((h >> levelCount) % 4 === 0) && (h >> levelCount) > 0 &&
+        gutter % (1 << levelCount) === 0
+    ) levelCount++;
+
+    const pitchX = w / 4 + 2 * gutter; // level-0 blocks per cell
+    const pitchY = h / 4 + 2 * gutter;
+    const atlasW = cols * pitchX * 4;
+    const atlasH = rows * pitchY * 4;
+
+    const atlasLevels = new Array(levelCount);
+    for (let level = 0; level < levelCount; level++) {
+        const tileX = (w >> level) / 4;
+        const tileY = (h >> level) / 4;
+        const g = gutter >> level;
+        const cellX = tileX + 2 * g;
+        const cellY = tileY + 2 * g;
+        const blocksX = cols * cellX;
+        const blocksY = rows * cellY;
+        const exact = uastcBytesPerImage(w, h, level);
+        const raw = layers.map((layer) => transcodeImage(layer[level], 0, exact).bytes);
+
+        const out = new Uint8Array(blocksX * blocksY * 16);
+        for (let by = 0; by < blocksY; by++) {
+            const row = Math.floor(by / cellY);
+            const sy = Math.min(tileY - 1, Math.max(0, by - row * cellY - g));
+            for (let bx = 0; bx < blocksX; bx++) {
+                const col = Math.floor(bx / cellX);
+                const sx = Math.min(tileX - 1, Math.max(0, bx - col * cellX - g));
+                const src = raw[Math.min(count - 1, row * cols + col)];
+                const from = (sy * tileX + sx) * 16;
+                out.set(src.subarray(from, from + 16), (by * blocksX + bx) * 16);
+            }
+        }
+        atlasLevels[level] = { bytes: out, uncompressedByteLength: out.byteLength, scheme: 0 };
+    }
+
+    const layout = {
+        width: atlasW,
+        height: atlasH,
+        columns: cols,
+        rows,
+        tileWidth: w,
+        tileHeight: h,
+        gutter,
+        layers: layers.map((_, i) => {
+            const x = (i % cols) * pitchX * 4 + gutter * 4;
+            const y = Math.floor(i / cols) * pitchY * 4 + gutter * 4;
+            return { layer: i, x, y, width: w, height: h, uv: [x / atlasW, y / atlasH, w / atlasW, h / atlasH] };
+        })
     };
 
-    const written = write(out);
-    return written.buffer;
+    const template = {
+        ...H,
+        pixelWidth: atlasW,
+        pixelHeight: atlasH,
+        levelCount,
+        keyValue: { ...keyValueFor(H, null), [ATLAS_LAYOUT_KEY]: JSON.stringify(layout) }
+    };
+    return assembleLayers(template, [atlasLevels], { layerCount: 0 }, scheme, zstdLevel);
+}
+
+// Return the layout written by packUASTCKTX2ToAtlas, or null if absent.
+export function readAtlasLayout(buffer) {
+    return readJSONEntry(read(new Uint8Array(buffer)), ATLAS_LAYOUT_KEY);
+}
+
+// Return the per-layer manifest written by mergeUASTCKTX2ToArray (sorted by
+// layer), or null if absent.
+export function readLayerManifest(buffer) {
+    const manifest = readJSONEntry(read(new Uint8Array(buffer)), LAYER_MANIFEST_KEY);
+    return manifest && [...manifest].sort((a, b) => a.layer - b.layer);
+}
+
+// Split a layered UASTC KTX2 into one single-layer KTX2 per layer.
+export function splitUASTCKTX2Array(buffer) {
+    const container = read(new Uint8Array(buffer));
+    assertCompatible([container]);
+    const manifest = readManifestEntries(container);
+    return extractLayers(container).map((layer, i) => {
+        const template = { ...container, keyValue: keyValueFor(container, manifest && [manifest[i]]) };
+        return assembleLayers(template, [layer], { layerCount: 0 });
+    });
+}
+
+// Edit the layers of an existing array without touching the others.
+// Inputs to append/insert may be single-layer files or arrays themselves, and
+// are transcoded to the array's own scheme if theirs differs. Manifest
+// entries move with their layers.
+function editLayers(buffer, edit) {
+    const container = read(new Uint8Array(buffer));
+    assertCompatible([container]);
+    const withEntries = (c) => {
+        const entries = readManifestEntries(c);
+        return extractLayers(c).map((levels, i) => ({ levels, entry: entries?.[i] }));
+    };
+    const layers = edit(withEntries(container), (buffers) => {
+        const containers = buffers.map((buf) => read(new Uint8Array(buf)));
+        assertCompatible([container, ...containers], { mixedSchemes: true });
+        return containers.flatMap(withEntries);
+    });
+    if (layers.length === 0) throw new Error('A texture array needs at least one layer.');
+
+    const manifest = layers.some((l) => l.entry) ? layers.map((l) => l.entry ?? {}) : null;
+    const template = { ...container, keyValue: keyValueFor(container, manifest) };
+    return assembleLayers(template, layers.map((l) => l.levels), { layerCount: layers.length });
+}
+
+export function appendLayersToKTX2Array(buffer, buffers) {
+    return editLayers(buffer, (layers, extract) => [...layers, ...extract(buffers)]);
+}
+
+export function insertLayersIntoKTX2Array(buffer, index, buffers) {
+    return editLayers(buffer, (layers, extract) => {
+        if (!Number.isInteger(index) || index < 0 || index > layers.length) {
+            throw new Error(`Insert index ${index} out of range 0..${layers.length}.`);
+        }
+        return [...layers.slice(0, index), ...extract(buffers), ...layers.slice(index)];
+    });
+}
+
+export function removeLayersFromKTX2Array(buffer, indices) {
+    return editLayers(buffer, (layers) => {
+        const drop = new Set(indices);
+        for (const i of drop) {
+            if (!Number.isInteger(i) || i < 0 || i >= layers.length) {
+                throw new Error(`Layer index ${i} out of range 0..${layers.length - 1}.`);
+            }
+        }
+        return layers.filter((_, i) => !drop.has(i));
+    });
+}
+
+// `order` lists source layer indices in their new positions, e.g. [2, 0, 1].
+// Every layer must appear exactly once.
+export function reorderKTX2ArrayLayers(buffer, order) {
+    return editLayers(buffer, (layers) => {
+        const seen = new Set(order);
+        if (order.length !== layers.length || seen.size !== layers.length ||
+            order.some((i) => !Number.isInteger(i) || i < 0 || i >= layers.length)) {
+            throw new Error(`Order must be a permutation of 0..${layers.length - 1}.`);
+        }
+        return order.map((i) => layers[i]);
+    });
 }
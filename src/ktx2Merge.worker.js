@@ -0,0 +1,41 @@
+// ktx2Merge.worker.js
+// Module worker behind KTX2MergeWorker: runs streamMergeUASTCKTX2ToArray off
+// the main thread.
+// In:  { type: 'merge', id, buffers, options }   merge options, minus callbacks
+//      { type: 'cancel', id }
+// Out: { type: 'reconcile', id, plan }
+//      { type: 'progress', id, progress }
+//      { type: 'done', id, buffer }               buffer is transferred
+//      { type: 'error', id, name, message }
+import { streamMergeUASTCKTX2ToArray } from './ktx2ArrayMerge.js';
+import { initZstd } from './ktx2Zstd.js';
+
+const jobs = new Map(); // id → AbortController
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'cancel') {
+        jobs.get(data.id)?.abort();
+        return;
+    }
+    if (data.type !== 'merge') return;
+
+    const { id, buffers, options } = data;
+    const controller = new AbortController();
+    jobs.set(id, controller);
+    try {
+        // Only transcoding needs the codec; if it failed to load, the merge
+        // reports that when (and only when) it gets there
+        await initZstd().catch(() => {});
+        const buffer = await streamMergeUASTCKTX2ToArray(buffers, {
+            ...options,
+            signal: controller.signal,
+            onReconcile: (plan) => self.postMessage({ type: 'reconcile', id, plan }),
+            onProgress: (progress) => self.postMessage({ type: 'progress', id, progress })
+        });
+        self.postMessage({ type: 'done', id, buffer }, [buffer]);
+    } catch (err) {
+        self.postMessage({ type: 'error', id, name: err.name, message: err.message });
+    } finally {
+        jobs.delete(id);
+    }
+};
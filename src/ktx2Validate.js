@@ -0,0 +1,222 @@
+// ktx2Validate.js
+// Check a KTX2 buffer against the KTX 2.0 spec and describe what's in it.
+// Returns a report instead of logging, so callers decide what is fatal:
+//   { valid, errors, warnings, header, levels }
+// where `levels` has one row per mip level (offsets, sizes, expectations).
+// Level sizes are checked for UASTC and for formats whose DFD declares a
+// texel block size; ETC1S/BasisLZ payloads are only bounds-checked.
+import { read, KHR_DF_MODEL_UASTC } from 'ktx-parse';
+import { isZstdReady, zstdDecompress, zstdFrameRanges } from './ktx2Zstd.js';
+
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+const HEADER_BYTE_LENGTH = 80;
+const LEVEL_INDEX_ENTRY_LENGTH = 24;
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+const lcm = (a, b) => (a * b) / gcd(a, b);
+
+// Options:
+// - decompress: also inflate ZSTD levels and compare their real size with
+//   uncompressedByteLength. Needs initZstd(). Default false.
+export function validateKTX2(buffer, { decompress = false } = {}) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const errors = [];
+    const warnings = [];
+    const report = { valid: false, errors, warnings, header: null, levels: [] };
+
+    if (bytes.byteLength < HEADER_BYTE_LENGTH || KTX2_IDENTIFIER.some((b, i) => bytes[i] !== b)) {
+        errors.push('Missing KTX 2.0 file identifier.');
+        return report;
+    }
+
+    const u32 = (o) => view.getUint32(o, true);
+    const u64 = (o) => Number(view.getBigUint64(o, true));
+    const header = {
+        vkFormat: u32(12),
+        typeSize: u32(16),
+        pixelWidth: u32(20),
+        pixelHeight: u32(24),
+        pixelDepth: u32(28),
+        layerCount: u32(32),
+        faceCount: u32(36),
+        levelCount: u32(40),
+        supercompressionScheme: u32(44),
+        dfdByteOffset: u32(48),
+        dfdByteLength: u32(52),
+        kvdByteOffset: u32(56),
+        kvdByteLength: u32(60),
+        sgdByteOffset: u64(64),
+        sgdByteLength: u64(72)
+    };
+    report.header = header;
+    const { pixelWidth: w, pixelHeight: h, pixelDepth: d, layerCount, faceCount, supercompressionScheme: scheme } = header;
+    const levelCount = Math.max(1, header.levelCount);
+
+    // Header fields
+    if (header.vkFormat === 0 && header.typeSize !== 1) errors.push(`typeSize must be 1 when vkFormat is 0, got ${header.typeSize}.`);
+    if (w === 0) errors.push('pixelWidth must be greater than 0.');
+    if (faceCount !== 1 && faceCount !== 6) errors.push(`faceCount must be 1 or 6, got ${faceCount}.`);
+    if (faceCount === 6 && (w !== h || d !== 0)) errors.push(`Cubemap faces must be square and 2D, got ${w}x${h}x${d}.`);
+    if (d > 0 && h === 0) errors.push('3D textures need a pixelHeight.');
+    if (scheme > 3) errors.push(`Unknown supercompressionScheme ${scheme}.`);
+    const maxLevels = Math.floor(Math.log2(Math.max(w, h, d, 1))) + 1;
+    if (header.levelCount > maxLevels) errors.push(`levelCount ${header.levelCount} exceeds ${maxLevels} for ${w}x${h}x${d}.`);
+    if (header.levelCount === 0) warnings.push('levelCount 0 asks the loader to generate mips, which block-compressed formats cannot do.');
+
+    // Index regions
+    const indexEnd = HEADER_BYTE_LENGTH + levelCount * LEVEL_INDEX_ENTRY_LENGTH;
+    if (indexEnd > bytes.byteLength) {
+        errors.push(`Level index (${levelCount} levels) runs past the end of the file.`);
+        return report;
+    }
+    const inFile = (offset, length) => offset + length <= bytes.byteLength;
+    if (!inFile(header.dfdByteOffset, header.dfdByteLength)) errors.push('DFD runs past the end of the file.');
+    if (header.dfdByteOffset !== indexEnd) warnings.push(`DFD should directly follow the level index at ${indexEnd}, found at ${header.dfdByteOffset}.`);
+    if (header.dfdByteOffset % 4) errors.push(`DFD offset ${header.dfdByteOffset} is not 4-byte aligned.`);
+    if (header.kvdByteLength && !inFile(header.kvdByteOffset, header.kvdByteLength)) errors.push('Key/value data runs past the end of the file.');
+    if (header.sgdByteLength) {
+        if (!inFile(header.sgdByteOffset, header.sgdByteLength)) errors.push('Supercompression global data runs past the end of the file.');
+        if (header.sgdByteOffset % 8) errors.push(`Supercompression global data offset ${header.sgdByteOffset} is not 8-byte aligned.`);
+        if (scheme !== 1) errors.push(`Supercompression global data is only allowed for BasisLZ, scheme is ${scheme}.`);
+    }
+    if (errors.length) return report;
+
+    // DFD
+    if (u32(header.dfdByteOffset) !== header.dfdByteLength) {
+        errors.push(`DFD total size ${u32(header.dfdByteOffset)} does not match dfdByteLength ${header.dfdByteLength}.`);
+    }
+    let dfd = null;
+    try {
+        dfd = read(bytes).dataFormatDescriptor[0];
+    } catch (err) {
+        errors.push(`Could not parse DFD or key/value data: ${err.message}`);
+    }
+
+    let blockBytes = 0;
+    let blockW = 1;
+    let blockH = 1;
+    if (dfd) {
+        blockW = dfd.texelBlockDimension[0] + 1;
+        blockH = dfd.texelBlockDimension[1] + 1;
+        const isUASTC = dfd.colorModel === KHR_DF_MODEL_UASTC;
+        const bytesPlane0 = dfd.bytesPlane[0];
+        if (scheme === 0) {
+            blockBytes = bytesPlane0;
+            if (bytesPlane0 === 0) errors.push('DFD bytesPlane[0] must give the texel block size when there is no supercompression.');
+        } else {
+            if (bytesPlane0 !== 0) errors.push(`DFD bytesPlane[0] must be 0 for supercompressed data, got ${bytesPlane0}.`);
+            if (isUASTC) blockBytes = 16;
+        }
+        if (isUASTC) {
+            if (blockW !== 4 || blockH !== 4) errors.push(`UASTC texel blocks must be 4x4, DFD says ${blockW}x${blockH}.`);
+            if (scheme === 0 && bytesPlane0 !== 16) {
+                const images = Math.max(1, layerCount) * faceCount;
+                errors.push(
+                    `UASTC DFD bytesPlane[0] must be 16 (one block), got ${bytesPlane0}` +
+                    (bytesPlane0 === 16 * images ? ` — it was scaled by the ${images} layers/faces.` : '.')
+                );
+            }
+        }
+        if (dfd.samples.length === 0) errors.push('DFD declares no samples.');
+        const planeBits = (bytesPlane0 || blockBytes) * 8;
+        dfd.samples.forEach((s, i) => {
+            if (planeBits && s.bitOffset + s.bitLength + 1 > planeBits) {
+                errors.push(`DFD sample ${i} (bits ${s.bitOffset}..${s.bitOffset + s.bitLength}) overflows the ${planeBits}-bit texel block.`);
+            }
+        });
+    }
+
+    // Key/value data: 4-byte aligned entries, keys sorted, NUL-terminated
+    const kvEnd = header.kvdByteOffset + header.kvdByteLength;
+    const keys = [];
+    for (let off = header.kvdByteOffset; off < kvEnd;) {
+        const length = u32(off);
+        const start = off + 4;
+        if (start + length > kvEnd) {
+            errors.push(`Key/value entry at ${off} (${length} bytes) runs past the key/value data.`);
+            break;
+        }
+        const nul = bytes.subarray(start, start + length).indexOf(0);
+        if (nul < 0) errors.push(`Key/value entry at ${off} has no NUL after its key.`);
+        else if (nul === 0) warnings.push(`Key/value entry at ${off} has an empty key.`);
+        else keys.push(new TextDecoder().decode(bytes.subarray(start, start + nul)));
+        off = start + length + ((4 - (length % 4)) % 4);
+    }
+    for (let i = 1; i < keys.length; i++) {
+        if (keys[i - 1] > keys[i]) warnings.push(`Key/value keys are not sorted: '${keys[i - 1]}' before '${keys[i]}'.`);
+    }
+    if (!keys.includes('KTXwriter')) warnings.push('No KTXwriter key/value entry.');
+
+    // Levels
+    const alignment = scheme === 0 ? lcm(blockBytes || 1, 4) : 1;
+    for (let level = 0; level < levelCount; level++) {
+        const o = HEADER_BYTE_LENGTH + level * LEVEL_INDEX_ENTRY_LENGTH;
+        const row = {
+            level,
+            byteOffset: u64(o),
+            byteLength: u64(o + 8),
+            uncompressedByteLength: u64(o + 16),
+            images: Math.max(1, layerCount) * faceCount * Math.max(1, d >> level),
+            imageByteLength: null,
+            expectedByteLength: null,
+            alignment,
+            ok: true
+        };
+        const fail = (msg) => { errors.push(`Level ${level}: ${msg}`); row.ok = false; };
+
+        if (!inFile(row.byteOffset, row.byteLength)) fail(`data (${row.byteOffset}+${row.byteLength}) runs past the end of the file.`);
+        if (row.byteOffset % alignment) fail(`offset ${row.byteOffset} is not ${alignment}-byte aligned.`);
+
+        if (blockBytes) {
+            const blocksX = Math.ceil(Math.max(1, w >> level) / blockW);
+            const blocksY = Math.ceil(Math.max(1, h >> level) / blockH);
+            row.imageByteLength = blocksX * blocksY * blockBytes;
+            row.expectedByteLength = row.imageByteLength * row.images;
+        }
+
+        if (scheme === 0) {
+            if (row.uncompressedByteLength !== row.byteLength) {
+                fail(`uncompressedByteLength ${row.uncompressedByteLength} must equal byteLength ${row.byteLength} without supercompression.`);
+            }
+            if (row.expectedByteLength !== null && row.byteLength !== row.expectedByteLength) {
+                fail(`holds ${row.byteLength} bytes, expected ${row.expectedByteLength} = ${row.images} images x ${row.imageByteLength}.`);
+            }
+        } else if (scheme === 1) {
+            if (row.uncompressedByteLength !== 0) fail(`uncompressedByteLength must be 0 for BasisLZ, got ${row.uncompressedByteLength}.`);
+        } else {
+            if (row.expectedByteLength !== null && row.uncompressedByteLength !== row.expectedByteLength) {
+                fail(`uncompressedByteLength ${row.uncompressedByteLength}, expected ${row.expectedByteLength} = ${row.images} images x ${row.imageByteLength}.`);
+            }
+            if (scheme === 2 && row.ok) {
+                const data = bytes.subarray(row.byteOffset, row.byteOffset + row.byteLength);
+                try {
+                    row.frames = zstdFrameRanges(data).length;
+                    if (decompress) {
+                        if (!isZstdReady()) throw new Error('await initZstd() to decompress.');
+                        const inflated = zstdDecompress(data, row.uncompressedByteLength).byteLength;
+                        if (inflated !== row.uncompressedByteLength) fail(`inflates to ${inflated} bytes, uncompressedByteLength says ${row.uncompressedByteLength}.`);
+                    }
+                } catch (err) {
+                    fail(`bad Zstandard data: ${err.message}`);
+                }
+            }
+        }
+        report.levels.push(row);
+    }
+
+    // Mip data is stored smallest level first, without overlaps
+    const byOffset = [...report.levels].sort((a, b) => a.byteOffset - b.byteOffset);
+    for (let i = 1; i < byOffset.length; i++) {
+        const prev = byOffset[i - 1];
+        if (prev.byteOffset + prev.byteLength > byOffset[i].byteOffset) {
+            errors.push(`Levels ${prev.level} and ${byOffset[i].level} overlap.`);
+        }
+    }
+    if (byOffset.some((row, i) => i > 0 && row.level > byOffset[i - 1].level)) {
+        warnings.push('Mip levels should be stored from the smallest level to the largest.');
+    }
+
+    report.valid = errors.length === 0;
+    return report;
+}
@@ -0,0 +1,83 @@
+// ktx2Zstd.js
+// Zstandard helpers for KTX2 level data (supercompressionScheme 2).
+// The codec is WebAssembly: `await initZstd()` once before compressing or
+// decompressing. Frame scanning needs no codec.
+import { init, compress, decompress } from '@bokuweb/zstd-wasm';
+
+let ready = null;
+let initialized = false;
+
+export function initZstd() {
+    if (!ready) ready = init().then(() => { initialized = true; });
+    return ready;
+}
+
+export const isZstdReady = () => initialized;
+
+const assertReady = () => {
+    if (!initialized) throw new Error('Zstandard codec not initialized; await initZstd() before transcoding.');
+};
+
+// Walk the frames of a Zstandard stream without decompressing it, returning
+// the byte range of each frame. Skippable frames are stepped over.
+export function zstdFrameRanges(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ranges = [];
+    let off = 0;
+    while (off < bytes.byteLength) {
+        const start = off;
+        const magic = view.getUint32(off, true);
+        off += 4;
+        if ((magic & 0xFFFFFFF0) === 0x184D2A50) {
+            off += 4 + view.getUint32(off, true);
+            continue;
+        }
+        if (magic !== 0xFD2FB528) throw new Error(`Invalid Zstandard frame magic at byte ${start}.`);
+
+        const fhd = bytes[off++];
+        const fcsFlag = fhd >> 6;
+        const singleSegment = (fhd >> 5) & 1;
+        const hasChecksum = (fhd >> 2) & 1;
+        const dictIdFlag = fhd & 3;
+        if (!singleSegment) off += 1; // window descriptor
+        off += [0, 1, 2, 4][dictIdFlag];
+        off += [singleSegment ? 1 : 0, 2, 4, 8][fcsFlag];
+
+        let last = 0;
+        while (!last) {
+            if (off + 3 > bytes.byteLength) throw new Error(`Truncated Zstandard frame at byte ${start}.`);
+            const bh = bytes[off] | (bytes[off + 1] << 8) | (bytes[off + 2] << 16);
+            off += 3;
+            last = bh & 1;
+            const type = (bh >> 1) & 3;
+            const size = bh >>> 3;
+            if (type === 3) throw new Error(`Reserved Zstandard block type at byte ${off - 3}.`);
+            off += (type === 1) ? 1 : size; // RLE blocks carry a single byte
+        }
+        if (hasChecksum) off += 4;
+        if (off > bytes.byteLength) throw new Error(`Truncated Zstandard frame at byte ${start}.`);
+        ranges.push([start, off]);
+    }
+    return ranges;
+}
+
+// Decompress every frame of `bytes` and concatenate the results.
+// `expectedLength` sizes the output for frames that omit their content size.
+export function zstdDecompress(bytes, expectedLength) {
+    assertReady();
+    const parts = zstdFrameRanges(bytes).map(([start, end]) =>
+        decompress(bytes.subarray(start, end), { defaultHeapSize: expectedLength || 1024 * 1024 })
+    );
+    if (parts.length === 1) return parts[0];
+    let totalLen = 0;
+    for (const p of parts) totalLen += p.byteLength;
+    const out = new Uint8Array(totalLen);
+    let off = 0;
+    for (const p of parts) { out.set(p, off); off += p.byteLength; }
+    return out;
+}
+
+export function zstdCompress(bytes, level = 3) {
+    assertReady();
+    return compress(bytes, level);
+}
@@ -3,7 +3,16 @@ import './style.css'
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
-import { mergeUASTCKTX2ToArray } from './ktx2ArrayMerge.js';
+import { KTX2ArrayLoader } from './KTX2ArrayLoader.js';
+import { KTX2MergeWorker } from './KTX2MergeWorker.js';
+import { setupArrayBuilder } from './arrayBuilder.js';
+import { runMipDiagnostics } from './mipDiagnostics.js';
+import {
+    mergeUASTCKTX2ToArray,
+    flattenKTX2ToArray,
+    packUASTCKTX2ToAtlas,
+    readAtlasLayout
+} from './ktx2ArrayMerge.js';
 
 
 const scene = new THREE.Scene();
@@ -25,10 +34,64 @@ const ktxUrls = [
     './trees.ktx2'
 ];
 
+// Stored in the merged file's layer manifest; durations in seconds
+const layerManifestIn = [
+    { source: 'city.ktx2', tags: ['urban'], duration: 1.5 },
+    { source: 'leaves.ktx2', tags: ['nature'], duration: 0.75 },
+    { source: 'sunflower.ktx2', tags: ['nature', 'flower'], duration: 0.75 },
+    { source: 'trees.ktx2', tags: ['nature'], duration: 1 }
+];
+
 let cube;
+let cubemapMesh, cubeArrayMesh, volumeMesh; // one demo per merge mode
 let layerCount = 1;  // will update after load
+let atlasRects = null; // per-layer UV rects when showing the atlas fallback
+const cubeArrayCount = 2;
 let startTime = performance.now();
 let mergedBufferAB = null; // store merged KTX2 for download
+let layerManifest = null; // read back from the merged file
+let layerDurations = [1];
+let shownLayer = -1;
+let pinnedLayer = null; // layer picked in the array builder, instead of cycling
+const layerLabel = setupLayerLabel();
+
+function setupLayerLabel() {
+    const label = document.createElement('div');
+    label.style.position = 'absolute';
+    label.style.top = '10px';
+    label.style.right = '10px';
+    label.style.zIndex = '10';
+    label.style.padding = '8px 12px';
+    label.style.fontSize = '14px';
+    label.style.color = '#fff';
+    label.style.background = 'rgba(0, 0, 0, 0.5)';
+    document.body.appendChild(label);
+    return label;
+}
+
+function setLayerManifest(manifest, count) {
+    layerManifest = manifest;
+    layerDurations = Array.from({ length: count }, (_, i) => manifest?.[i]?.duration ?? 1);
+}
+
+// Which layer is showing `t` seconds in, cycling through the stored durations
+function layerAtTime(t) {
+    const total = layerDurations.reduce((sum, d) => sum + d, 0);
+    let rest = t % total;
+    for (let i = 0; i < layerDurations.length; i++) {
+        if (rest < layerDurations[i]) return i;
+        rest -= layerDurations[i];
+    }
+    return layerDurations.length - 1;
+}
+
+function showLayerLabel(layer) {
+    if (layer === shownLayer) return;
+    shownLayer = layer;
+    const entry = layerManifest?.[layer];
+    const tags = entry?.tags?.length ? ` [${entry.tags.join(', ')}]` : '';
+    layerLabel.textContent = `Layer ${layer}: ${entry?.source ?? 'unnamed'}${tags}`;
+}
 
 function setupDownloadButton() {
     const btn = document.createElement('button');
@@ -46,7 +109,9 @@ function setupDownloadButton() {
         const blob = new Blob([mergedBufferAB], { type: 'application/octet-stream' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
-        const name = `texture-array-${layerCount}layers.ktx2`;
+        const name = atlasRects
+            ? `texture-atlas-${layerCount}layers.ktx2`
+            : `texture-array-${layerCount}layers.ktx2`;
         a.href = url;
         a.download = name;
         document.body.appendChild(a);
@@ -59,77 +124,422 @@ function setupDownloadButton() {
     return btn;
 }
 
-async function loadMergedKTX2Array(urls) {
-    const bufs = await Promise.all(
-        urls.map(async (u) => (await fetch(u)).arrayBuffer())
-    );
-    return mergeUASTCKTX2ToArray(bufs);
+async function fetchKTX2Buffers(urls) {
+    const loader = new THREE.FileLoader().setResponseType('arraybuffer');
+    return Promise.all(urls.map((u) => loader.loadAsync(u)));
 }
 
-(async () => {
-    if (renderer.capabilities.isWebGL2 !== true) {
-        console.error('This demo needs WebGL2 for sampler2DArray.');
-        return;
+const vertexShader = /* glsl */`
+    out vec2 vUv;
+    out vec3 vDir;
+    void main() {
+        vUv = uv;
+        vDir = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
     }
+`;
 
-    const downloadBtn = setupDownloadButton();
+// One layer of a 2D array texture, picked with uLayer
+function createArrayMaterial(arrayTex) {
+    return new THREE.ShaderMaterial({
+        glslVersion: THREE.GLSL3,
+        uniforms: {
+            uTex: { value: arrayTex },
+            uLayer: { value: 0 }, // will update each frame
+        },
+        vertexShader,
+        fragmentShader: /* glsl */`
+            precision highp float;
+            precision highp sampler2DArray;
+
+            in vec2 vUv;
+            uniform sampler2DArray uTex;
+            uniform int uLayer;
+            out vec4 outColor;
+
+            void main() {
+                // Force LOD 0 to avoid sampling corrupted mips on some mobile devices
+                outColor = textureLod(uTex, vec3(vUv, float(uLayer)), 0.0);
+            }
+        `,
+    });
+}
+
+// Draw every layer of an array texture through createArrayMaterial into a
+// small canvas, for the array builder's thumbnails
+function renderLayerThumbnails(arrayTex, count, size = 64) {
+    const target = new THREE.WebGLRenderTarget(size, size);
+    const material = createArrayMaterial(arrayTex);
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    const thumbScene = new THREE.Scene().add(quad);
+    const thumbCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 2);
+    thumbCamera.position.z = 1;
+    const pixels = new Uint8Array(size * size * 4);
+    const row = size * 4;
+
+    const canvases = [];
+    for (let layer = 0; layer < count; layer++) {
+        material.uniforms.uLayer.value = layer;
+        renderer.setRenderTarget(target);
+        renderer.render(thumbScene, thumbCamera);
+        renderer.readRenderTargetPixels(target, 0, 0, size, size, pixels);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(size, size);
+        // GL rows run bottom-up
+        for (let y = 0; y < size; y++) {
+            image.data.set(pixels.subarray((size - 1 - y) * row, (size - y) * row), y * row);
+        }
+        ctx.putImageData(image, 0, 0);
+        canvases.push(canvas);
+    }
+    renderer.setRenderTarget(null);
+    target.dispose();
+    material.dispose();
+    quad.geometry.dispose();
+    return canvases;
+}
+
+// Cubemap from 6 faces, sampled with samplerCube
+function createCubemapMaterial(cubeTex) {
+    return new THREE.ShaderMaterial({
+        glslVersion: THREE.GLSL3,
+        uniforms: { uTex: { value: cubeTex } },
+        vertexShader,
+        fragmentShader: /* glsl */`
+            precision highp float;
+            in vec3 vDir;
+            uniform samplerCube uTex;
+            out vec4 outColor;
+            void main() {
+                outColor = textureLod(uTex, normalize(vDir), 0.0);
+            }
+        `,
+    });
+}
+
+// WebGL2 has no samplerCubeArray: the cube array is flattened to a 2D array
+// (layer = cube * 6 + face) and the face lookup is done by hand.
+function createCubeArrayMaterial(arrayTex) {
+    return new THREE.ShaderMaterial({
+        glslVersion: THREE.GLSL3,
+        uniforms: {
+            uTex: { value: arrayTex },
+            uCube: { value: 0 },
+        },
+        vertexShader,
+        fragmentShader: /* glsl */`
+            precision highp float;
+            precision highp sampler2DArray;
+            in vec3 vDir;
+            uniform sampler2DArray uTex;
+            uniform int uCube;
+            out vec4 outColor;
+
+            // Face and st per the GL cube map selection table (+X, -X, +Y, -Y, +Z, -Z)
+            vec3 cubeFaceUv(vec3 d) {
+                vec3 a = abs(d);
+                if (a.x >= a.y && a.x >= a.z) {
+                    return d.x > 0.0 ? vec3(-d.z, -d.y, 0.0) / vec3(a.x, a.x, 1.0)
+                                     : vec3( d.z, -d.y, 1.0) / vec3(a.x, a.x, 1.0);
+                }
+                if (a.y >= a.z) {
+                    return d.y > 0.0 ? vec3(d.x,  d.z, 2.0) / vec3(a.y, a.y, 1.0)
+                                     : vec3(d.x, -d.z, 3.0) / vec3(a.y, a.y, 1.0);
+                }
+                return d.z > 0.0 ? vec3( d.x, -d.y, 4.0) / vec3(a.z, a.z, 1.0)
+                                 : vec3(-d.x, -d.y, 5.0) / vec3(a.z, a.z, 1.0);
+            }
+
+            void main() {
+                vec3 f = cubeFaceUv(normalize(vDir));
+                vec2 st = f.xy * 0.5 + 0.5;
+                outColor = textureLod(uTex, vec3(st, float(uCube * 6) + f.z), 0.0);
+            }
+        `,
+    });
+}
+
+// The Basis transcoder rejects 3D textures, so the volume is flattened to a
+// 2D array, transcoded, then copied slice by slice into a 3D render target
+// that real sampler3D lookups (with filtering across slices) can read.
+function createVolumeTexture(arrayTex, width, height, depth) {
+    const target = new THREE.WebGL3DRenderTarget(width, height, depth);
+    target.texture.minFilter = THREE.LinearFilter;
+    target.texture.magFilter = THREE.LinearFilter;
+
+    const copyMaterial = new THREE.ShaderMaterial({
+        glslVersion: THREE.GLSL3,
+        uniforms: {
+            uTex: { value: arrayTex },
+            uLayer: { value: 0 },
+        },
+        vertexShader: /* glsl */`
+            out vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+            }
+        `,
+        fragmentShader: /* glsl */`
+            precision highp float;
+            precision highp sampler2DArray;
+            in vec2 vUv;
+            uniform sampler2DArray uTex;
+            uniform int uLayer;
+            out vec4 outColor;
+            void main() {
+                outColor = textureLod(uTex, vec3(vUv, float(uLayer)), 0.0);
+            }
+        `,
+    });
+    const copyScene = new THREE.Scene();
+    copyScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), copyMaterial));
+    const copyCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    for (let z = 0; z < depth; z++) {
+        copyMaterial.uniforms.uLayer.value = z;
+        renderer.setRenderTarget(target, z);
+        renderer.render(copyScene, copyCamera);
+    }
+    renderer.setRenderTarget(null);
+    copyMaterial.dispose();
 
-    mergedBufferAB = await loadMergedKTX2Array(ktxUrls);
-    // Keep a copy for parsing to avoid detaching our stored buffer when sent to the worker
-    const parseBuffer = mergedBufferAB.slice(0);
+    return target.texture;
+}
+
+function createVolumeMaterial(volumeTex) {
+    return new THREE.ShaderMaterial({
+        glslVersion: THREE.GLSL3,
+        uniforms: {
+            uTex: { value: volumeTex },
+            uDepth: { value: 0 },
+        },
+        vertexShader,
+        fragmentShader: /* glsl */`
+            precision highp float;
+            precision highp sampler3D;
+            in vec2 vUv;
+            uniform sampler3D uTex;
+            uniform float uDepth;
+            out vec4 outColor;
+            void main() {
+                outColor = texture(uTex, vec3(vUv, uDepth));
+            }
+        `,
+    });
+}
+
+// Sample one layer of an atlas built by packUASTCKTX2ToAtlas. `rect` is the
+// layer's uv entry from the layout; uv is clamped half a texel inside it.
+const atlasSamplingGLSL = /* glsl */`
+    vec4 sampleAtlasLayer(sampler2D atlas, vec2 atlasSize, vec4 rect, vec2 uv) {
+        vec2 inset = 0.5 / (atlasSize * rect.zw);
+        return texture2D(atlas, rect.xy + clamp(uv, inset, 1.0 - inset) * rect.zw);
+    }
+`;
+
+// Plain sampler2D lookups, for comparing the atlas layout with the array.
+// (three r180 needs WebGL2 and compiles this as GLSL ES 3.00 like the rest.)
+function createAtlasMaterial(atlasTex, layout) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            uTex: { value: atlasTex },
+            uAtlasSize: { value: new THREE.Vector2(layout.width, layout.height) },
+            uRect: { value: new THREE.Vector4().fromArray(layout.layers[0].uv) }, // will update each frame
+        },
+        vertexShader: /* glsl */`
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: /* glsl */`
+            precision highp float;
+            varying vec2 vUv;
+            uniform sampler2D uTex;
+            uniform vec2 uAtlasSize;
+            uniform vec4 uRect;
+            ${atlasSamplingGLSL}
+            void main() {
+                gl_FragColor = sampleAtlasLayer(uTex, uAtlasSize, uRect, vUv);
+            }
+        `,
+    });
+}
+
+async function setupAtlasDemo(sourceBuffers, parseTexture, downloadBtn) {
+    // A 1-block gutter keeps filtering from bleeding between tiles. It also
+    // drops every mip but level 0 (a level is kept only while the gutter is a
+    // multiple of 2^level); the bundled files have no mips to lose.
+    mergedBufferAB = packUASTCKTX2ToAtlas(sourceBuffers, { gutter: 1 });
     downloadBtn.disabled = false;
 
+    const layout = readAtlasLayout(mergedBufferAB);
+    layerCount = layout.layers.length;
+    atlasRects = layout.layers.map((l) => l.uv);
+    setLayerManifest(layerManifestIn, layerCount);
+
+    const atlasTex = await parseTexture(mergedBufferAB.slice(0));
+    atlasTex.minFilter = THREE.LinearFilter;
+    atlasTex.magFilter = THREE.LinearFilter;
+    atlasTex.needsUpdate = true;
+
+    cube = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), createAtlasMaterial(atlasTex, layout));
+    scene.add(cube);
+}
+
+// With ?atlas in the URL, show the atlas instead of the array. This is not an
+// automatic fallback: three r180 requires WebGL2, which has sampler2DArray.
+const useAtlas = new URLSearchParams(location.search).has('atlas');
+
+// With ?diag in the URL, compare merged mips with the originals instead
+const useDiagnostics = new URLSearchParams(location.search).has('diag');
+
+(async () => {
     const ktx2 = new KTX2Loader()
         // Vite serves files from /public at the root path
         .setTranscoderPath('./')
         .detectSupport(renderer);
+    const parseTexture = (buffer) => new Promise((resolve, reject) => ktx2.parse(buffer, resolve, reject));
 
-    ktx2.parse(
-        parseBuffer,
-        (arrayTex) => {
-            arrayTex.anisotropy = 4;
-            // Mitigate mobile artifacts: avoid mips during sampling
-            arrayTex.minFilter = THREE.LinearFilter;
-            arrayTex.magFilter = THREE.LinearFilter;
-            arrayTex.needsUpdate = true;
-
-            layerCount = arrayTex.depth || arrayTex.image?.depth || 1;
-
-            const material = new THREE.ShaderMaterial({
-                glslVersion: THREE.GLSL3,
-                uniforms: {
-                    uTex: { value: arrayTex },
-                    uLayer: { value: 0 }, // will update each frame
-                },
-                vertexShader: /* glsl */`
-                    out vec2 vUv;
-                    void main() {
-                        vUv = uv;
-                        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                    }
-                `,
-                fragmentShader: /* glsl */`
-          precision highp float;
-          precision highp sampler2DArray;
-
-          in vec2 vUv;
-          uniform sampler2DArray uTex;
-          uniform int uLayer;
-          out vec4 outColor;
-
-          void main() {
-                        // Force LOD 0 to avoid sampling corrupted mips on some mobile devices
-                        outColor = textureLod(uTex, vec3(vUv, float(uLayer)), 0.0);
-          }
-        `,
-            });
+    if (useDiagnostics) {
+        await runMipDiagnostics(renderer, ktx2, ktxUrls.map((u) => u.split('/').pop()))
+            .catch((err) => console.error('KTX2 diagnostics failed:', err));
+        return;
+    }
+
+    const downloadBtn = setupDownloadButton();
+
+    const sourceBuffers = await fetchKTX2Buffers(ktxUrls);
+
+    if (useAtlas) {
+        await setupAtlasDemo(sourceBuffers, parseTexture, downloadBtn)
+            .catch((err) => console.error('KTX2 atlas failed:', err));
+        return;
+    }
+
+    const arrayLoader = new KTX2ArrayLoader()
+        .setKTX2Loader(ktx2)
+        .setMergeWorker(new KTX2MergeWorker());
+
+    // Show a freshly merged array on the cube, or hide the cube without one
+    const showArray = (result) => {
+        const previous = cube?.material.uniforms.uTex.value;
+        mergedBufferAB = result?.buffer ?? null;
+        downloadBtn.disabled = !result;
+        if (!result) {
+            if (cube) cube.visible = false;
+            previous?.dispose();
+            return;
+        }
 
-            const geometry = new THREE.BoxGeometry(2, 2, 2);
-            cube = new THREE.Mesh(geometry, material);
+        const arrayTex = result.texture;
+        arrayTex.anisotropy = 4;
+        // Mitigate mobile artifacts: avoid mips during sampling
+        arrayTex.minFilter = THREE.LinearFilter;
+        arrayTex.magFilter = THREE.LinearFilter;
+        arrayTex.needsUpdate = true;
+
+        layerCount = arrayTex.image.depth;
+        setLayerManifest(result.layers, layerCount);
+        shownLayer = -1;
+
+        if (cube) {
+            cube.material.uniforms.uTex.value = arrayTex;
+            cube.visible = true;
+            previous.dispose();
+        } else {
+            cube = new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), createArrayMaterial(arrayTex));
+            cube.position.x = -4.5;
             scene.add(cube);
+        }
+    };
+
+    // Every change to the file list re-merges; results of superseded merges are dropped
+    let generation = 0;
+    const builder = setupArrayBuilder({
+        onChange: async (files) => {
+            const current = ++generation;
+            if (files.length === 0) {
+                showArray(null);
+                builder.setStatus('No compatible files.');
+                return;
+            }
+            const count = files.reduce((sum, f) => sum + f.layerCount, 0);
+            builder.setStatus(`Merging ${count} layers…`);
+            try {
+                const result = await arrayLoader
+                    .setMergeOptions({
+                        layers: files.flatMap((f) => f.layers),
+                        supercompressionScheme: files[0].supercompressionScheme
+                    })
+                    .parseAsync(files.map((f) => f.buffer));
+                if (current !== generation) {
+                    result.texture.dispose();
+                    return;
+                }
+                showArray(result);
+                builder.setThumbnails(renderLayerThumbnails(result.texture, layerCount));
+                builder.setStatus(`${layerCount} layers, ${Math.round(result.buffer.byteLength / 1024)} KiB`);
+            } catch (err) {
+                console.error('KTX2 array merge failed:', err);
+                if (current === generation) builder.setStatus(`Merge failed: ${err.message}`);
+            }
         },
-        (err) => console.error('KTX2 parse failed:', err)
-    );
+        onSelectLayer: (layer) => {
+            pinnedLayer = layer;
+        }
+    });
+    // Start from the bundled files
+    builder.add(sourceBuffers.map((buffer, i) => ({
+        name: ktxUrls[i].split('/').pop(),
+        buffer,
+        layers: [layerManifestIn[i]]
+    })));
+
+    // Same sources, other merge modes. Faces repeat the four images.
+    const faces = (first) => [0, 1, 2, 3, 0, 1].map((i) => sourceBuffers[(i + first) % sourceBuffers.length]);
+    const avoidMips = (tex) => {
+        tex.minFilter = THREE.LinearFilter;
+        tex.magFilter = THREE.LinearFilter;
+        tex.needsUpdate = true;
+        return tex;
+    };
+
+    try {
+        const cubemapTex = avoidMips(await parseTexture(
+            mergeUASTCKTX2ToArray(faces(0), { mode: 'cubemap' })
+        ));
+        cubemapMesh = new THREE.Mesh(new THREE.SphereGeometry(1.2, 48, 32), createCubemapMaterial(cubemapTex));
+        cubemapMesh.position.x = -1.5;
+        scene.add(cubemapMesh);
+
+        const cubeArrayBuffer = mergeUASTCKTX2ToArray(
+            Array.from({ length: cubeArrayCount }, (_, c) => faces(c * 2)).flat(),
+            { mode: 'cubemap-array' }
+        );
+        const cubeArrayTex = avoidMips(await parseTexture(flattenKTX2ToArray(cubeArrayBuffer)));
+        cubeArrayMesh = new THREE.Mesh(new THREE.SphereGeometry(1.2, 48, 32), createCubeArrayMaterial(cubeArrayTex));
+        cubeArrayMesh.position.x = 1.5;
+        scene.add(cubeArrayMesh);
+
+        const volumeTex = avoidMips(await parseTexture(
+            flattenKTX2ToArray(mergeUASTCKTX2ToArray(sourceBuffers, { mode: '3d' }))
+        ));
+        const { width, height, depth } = volumeTex.image;
+        volumeMesh = new THREE.Mesh(
+            new THREE.BoxGeometry(2, 2, 2),
+            createVolumeMaterial(createVolumeTexture(volumeTex, width, height, depth))
+        );
+        volumeMesh.position.x = 4.5;
+        scene.add(volumeMesh);
+    } catch (err) {
+        console.error('KTX2 mode demo failed:', err);
+    }
 })();
 
 
@@ -142,11 +552,23 @@ function animate() {
         cube.rotation.x += 0.01;
         cube.rotation.y += 0.01;
 
-        // NEW: cycle through layers once per second
+        // Cycle through layers, each shown for its manifest duration
         const elapsed = (performance.now() - startTime) / 1000.0; // seconds
-        const currentLayer = Math.floor(elapsed) % layerCount;
-        cube.material.uniforms.uLayer.value = currentLayer;
+        const currentLayer = pinnedLayer ?? layerAtTime(elapsed);
+        showLayerLabel(currentLayer);
+        if (atlasRects) cube.material.uniforms.uRect.value.fromArray(atlasRects[currentLayer]);
+        else cube.material.uniforms.uLayer.value = currentLayer;
+    }
+
+    const elapsed = (performance.now() - startTime) / 1000.0;
+    for (const mesh of [cubemapMesh, cubeArrayMesh, volumeMesh]) {
+        if (!mesh) continue;
+        mesh.rotation.x += 0.01;
+        mesh.rotation.y += 0.01;
     }
+    if (cubeArrayMesh) cubeArrayMesh.material.uniforms.uCube.value = Math.floor(elapsed) % cubeArrayCount;
+    // Sweep through the volume; filtering blends neighbouring slices
+    if (volumeMesh) volumeMesh.material.uniforms.uDepth.value = 0.5 + 0.5 * Math.sin(elapsed);
 
     controls.update();
     renderer.render(scene, camera);
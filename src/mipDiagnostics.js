@@ -0,0 +1,315 @@
+// mipDiagnostics.js
+// Diagnostics page (?diag) for the mip corruption seen on some mobile GPUs.
+// Shows one layer and mip level of a merged array next to the same image
+// from its original single-layer file, plus a heatmap of their pixel
+// differences, for each of the asset sets in public/.
+//
+// Both images go through the same KTX2Loader transcode and keep the min
+// filter it chose. Each is read back three ways (see READ_MODES): texel-exact
+// with texelFetch, and sampled through the mip chain with textureLod and with
+// texture() at the level's own size, which is how the glitch shows up. So:
+//   - UASTC blocks differ: the merger changed the data.
+//   - blocks match but texelFetch pixels differ: the array texture's levels
+//     were uploaded wrong.
+//   - texelFetch matches but a sampled read differs: sampling the array's
+//     mips goes wrong on this GPU, not the data.
+//   - all match but look broken in both: the transcoder (or the source
+//     file); switch asset sets to see whether Zstd or the mips are involved.
+import * as THREE from 'three';
+import { read } from 'ktx-parse';
+import { mergeUASTCKTX2ToArray } from './ktx2ArrayMerge.js';
+import { validateKTX2 } from './ktx2Validate.js';
+import { initZstd, zstdDecompress } from './ktx2Zstd.js';
+
+const ASSET_SETS = ['zstd', 'nozstd - mips', 'nozstd-nomips'];
+
+// How a level is read back; the value is the shader's uMode
+const READ_MODES = [
+    ['texelFetch', 'texelFetch (exact texels)'],
+    ['textureLod', 'textureLod (filtered, explicit level)'],
+    ['texture', 'texture() (filtered, level from derivatives)'],
+];
+
+// Read one level into a target of that level's size, converted for display
+// if the texture is sRGB. Sampled modes use the texture's own filters; for
+// texture(), one texel of the level per pixel makes the derived LOD the level.
+const readMaterial = (isArray) => new THREE.ShaderMaterial({
+    glslVersion: THREE.GLSL3,
+    uniforms: {
+        uTex: { value: null },
+        uLayer: { value: 0 },
+        uLevel: { value: 0 },
+        uMode: { value: 0 },
+        uSRGB: { value: false },
+    },
+    vertexShader: /* glsl */`
+        void main() {
+            gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+    `,
+    fragmentShader: /* glsl */`
+        precision highp float;
+        precision highp sampler2DArray;
+        uniform ${isArray ? 'sampler2DArray' : 'sampler2D'} uTex;
+        uniform int uLayer;
+        uniform int uLevel;
+        uniform int uMode;
+        uniform bool uSRGB;
+        out vec4 outColor;
+        void main() {
+            vec2 uv = gl_FragCoord.xy / vec2(textureSize(uTex, uLevel).xy);
+            vec4 c;
+            if (uMode == 0) c = texelFetch(uTex, ${isArray ? 'ivec3(gl_FragCoord.xy, uLayer)' : 'ivec2(gl_FragCoord.xy)'}, uLevel);
+            else if (uMode == 1) c = textureLod(uTex, ${isArray ? 'vec3(uv, float(uLayer))' : 'uv'}, float(uLevel));
+            else c = texture(uTex, ${isArray ? 'vec3(uv, float(uLayer))' : 'uv'});
+            if (uSRGB) c.rgb = mix(c.rgb * 12.92, 1.055 * pow(c.rgb, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c.rgb));
+            outColor = c;
+        }
+    `,
+});
+
+// UASTC blocks of one layer and level as stored, inflated if need be
+function uastcBlocks(container, layer, level) {
+    const { levelData, uncompressedByteLength } = container.levels[level];
+    const raw = container.supercompressionScheme === 2 ? zstdDecompress(levelData, uncompressedByteLength) : levelData;
+    const exact = Math.ceil(Math.max(1, container.pixelWidth >> level) / 4) * Math.ceil(Math.max(1, container.pixelHeight >> level) / 4) * 16;
+    const stride = exact + ((8 - (exact % 8)) % 8);
+    return raw.subarray(layer * stride, layer * stride + exact);
+}
+
+function compareBlocks(a, b, blocksX) {
+    if (a.byteLength !== b.byteLength) return `UASTC blocks: sizes differ (${a.byteLength} vs ${b.byteLength} bytes) — the merger changed this image.`;
+    let differing = 0;
+    let first = -1;
+    for (let i = 0; i < a.byteLength; i += 16) {
+        for (let j = i; j < i + 16; j++) {
+            if (a[j] !== b[j]) {
+                differing++;
+                if (first < 0) first = i / 16;
+                break;
+            }
+        }
+    }
+    const total = a.byteLength / 16;
+    if (!differing) return `UASTC blocks: all ${total} identical.`;
+    return `UASTC blocks: ${differing} of ${total} differ, first at block (${first % blocksX}, ${Math.floor(first / blocksX)}) — the merger changed this image.`;
+}
+
+// Name of a three.js constant, e.g. the GPU format KTX2Loader transcoded to
+// (RGBA_ASTC_4x4_Format) or a min filter (LinearMipmapLinearFilter)
+const constantName = (suffix, value) => Object.keys(THREE).find((k) => k.endsWith(suffix) && THREE[k] === value) ?? value;
+
+// Show RGBA pixels on a canvas, scaled up without smoothing
+function pixelCanvas(label) {
+    const figure = document.createElement('figure');
+    figure.style.margin = '0';
+    const canvas = document.createElement('canvas');
+    canvas.style.width = '256px';
+    canvas.style.height = '256px';
+    canvas.style.imageRendering = 'pixelated';
+    canvas.style.background = '#222';
+    const caption = document.createElement('figcaption');
+    caption.textContent = label;
+    figure.append(canvas, caption);
+    return {
+        figure,
+        show(pixels, width, height) {
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            const image = ctx.createImageData(width, height);
+            image.data.set(pixels);
+            ctx.putImageData(image, 0, 0);
+        }
+    };
+}
+
+// Per-pixel largest channel difference, scaled by `gain`, as black → red →
+// yellow → white
+function diffHeatmap(a, b, gain) {
+    const heat = new Uint8ClampedArray(a.length);
+    let differing = 0;
+    let max = 0;
+    let sum = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        const d = Math.max(
+            Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]),
+            Math.abs(a[i + 2] - b[i + 2]), Math.abs(a[i + 3] - b[i + 3])
+        );
+        if (d) differing++;
+        max = Math.max(max, d);
+        sum += d;
+        const v = Math.min(1, (d * gain) / 255) * 3;
+        heat[i] = Math.min(1, v) * 255;
+        heat[i + 1] = Math.min(1, Math.max(0, v - 1)) * 255;
+        heat[i + 2] = Math.min(1, Math.max(0, v - 2)) * 255;
+        heat[i + 3] = 255;
+    }
+    return { heat, differing, max, mean: sum / (a.length / 4) };
+}
+
+// `files`: names of the single-layer files each asset set holds.
+export async function runMipDiagnostics(renderer, ktx2Loader, files) {
+    await initZstd();
+    renderer.domElement.style.display = 'none';
+
+    const fileLoader = new THREE.FileLoader().setResponseType('arraybuffer');
+    const parseTexture = (buffer) => new Promise((resolve, reject) => ktx2Loader.parse(buffer.slice(0), resolve, reject));
+    const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const passes = [true, false].map((isArray) => {
+        const material = readMaterial(isArray);
+        const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+        quad.frustumCulled = false;
+        return { material, scene: new THREE.Scene().add(quad) };
+    });
+
+    // Read one level of a texture back through `pass`
+    const readLevel = (pass, texture, layer, level, mode) => {
+        const width = Math.max(1, texture.image.width >> level);
+        const height = Math.max(1, texture.image.height >> level);
+        const target = new THREE.WebGLRenderTarget(width, height);
+        const { uniforms } = pass.material;
+        uniforms.uTex.value = texture;
+        uniforms.uLayer.value = layer;
+        uniforms.uLevel.value = level;
+        uniforms.uMode.value = mode;
+        uniforms.uSRGB.value = texture.colorSpace === THREE.SRGBColorSpace;
+        renderer.setRenderTarget(target);
+        renderer.render(pass.scene, quadCamera);
+        const pixels = new Uint8Array(width * height * 4);
+        renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+        renderer.setRenderTarget(null);
+        target.dispose();
+        return { pixels, width, height };
+    };
+
+    // --- UI ---
+    const panel = document.createElement('div');
+    panel.style.padding = '10px';
+    panel.style.fontSize = '13px';
+    const controls = document.createElement('div');
+    controls.style.display = 'flex';
+    controls.style.gap = '12px';
+    controls.style.flexWrap = 'wrap';
+    controls.style.alignItems = 'center';
+    const select = (label, options) => {
+        const wrap = document.createElement('label');
+        wrap.textContent = `${label} `;
+        const el = document.createElement('select');
+        el.replaceChildren(...options.map(([value, text]) => new Option(text, value)));
+        wrap.append(el);
+        controls.append(wrap);
+        return el;
+    };
+    const setSelect = select('Asset set', ASSET_SETS.map((s) => [s, s]));
+    const layerSelect = select('Layer', files.map((f, i) => [i, `${i}: ${f}`]));
+    const levelSelect = select('Mip level', []);
+    const modeSelect = select('Read', READ_MODES.map(([, text], i) => [i, text]));
+    const gainLabel = document.createElement('label');
+    gainLabel.textContent = 'Heatmap gain ';
+    const gainInput = document.createElement('input');
+    gainInput.type = 'range';
+    gainInput.min = '1';
+    gainInput.max = '64';
+    gainInput.value = '8';
+    gainLabel.append(gainInput);
+    controls.append(gainLabel);
+
+    const views = document.createElement('div');
+    views.style.display = 'flex';
+    views.style.gap = '12px';
+    views.style.margin = '10px 0';
+    const mergedView = pixelCanvas('Merged array');
+    const originalView = pixelCanvas('Original file');
+    const heatView = pixelCanvas('Difference');
+    views.append(mergedView.figure, originalView.figure, heatView.figure);
+
+    const report = document.createElement('pre');
+    report.style.whiteSpace = 'pre-wrap';
+    report.style.margin = '0';
+    panel.append(controls, views, report);
+    document.body.appendChild(panel);
+
+    // --- State ---
+    let current = null; // the loaded asset set
+    let loading = 0;
+
+    async function loadSet(set) {
+        const originals = await Promise.all(files.map((f) => fileLoader.loadAsync(`./${encodeURIComponent(set)}/${f}`)));
+        const merged = mergeUASTCKTX2ToArray(originals);
+        return {
+            set,
+            originals: originals.map((buf) => read(new Uint8Array(buf))),
+            merged: read(new Uint8Array(merged)),
+            validation: validateKTX2(merged, { decompress: true }),
+            mergedTex: await parseTexture(merged),
+            originalTexs: await Promise.all(originals.map(parseTexture)),
+        };
+    }
+
+    function show() {
+        if (!current) return;
+        const layer = Number(layerSelect.value);
+        const level = Number(levelSelect.value);
+        const { merged, originals, mergedTex, originalTexs, validation } = current;
+
+        // Every read mode is compared; the selected one is shown
+        const gain = Number(gainInput.value);
+        const shown = Number(modeSelect.value);
+        const pixelLines = READ_MODES.map(([name], mode) => {
+            const a = readLevel(passes[0], mergedTex, layer, level, mode);
+            const b = readLevel(passes[1], originalTexs[layer], 0, level, mode);
+            const { heat, differing, max, mean } = diffHeatmap(a.pixels, b.pixels, gain);
+            if (mode === shown) {
+                mergedView.show(a.pixels, a.width, a.height);
+                originalView.show(b.pixels, b.width, b.height);
+                heatView.show(heat, a.width, a.height);
+            }
+            return differing
+                ? `Pixels, ${name}: ${differing} of ${a.width * a.height} differ, max Δ ${max}, mean Δ ${mean.toFixed(2)}.`
+                : `Pixels, ${name}: identical.`;
+        });
+
+        const width = Math.max(1, merged.pixelWidth >> level);
+        const height = Math.max(1, merged.pixelHeight >> level);
+        const lines = [
+            `${current.set}: ${merged.pixelWidth}x${merged.pixelHeight}, ${merged.levelCount} levels, ` +
+            `supercompression ${merged.supercompressionScheme}, transcoded to ${constantName('Format', mergedTex.format)}, ` +
+            `min filter ${constantName('Filter', mergedTex.minFilter)}`,
+            `Level ${level}: ${width}x${height}`,
+            compareBlocks(uastcBlocks(merged, layer, level), uastcBlocks(originals[layer], 0, level), Math.ceil(width / 4)),
+            ...pixelLines,
+            validation.valid ? 'Merged file passes validation.' : `Merged file fails validation:\n  ${validation.errors.join('\n  ')}`,
+            ...validation.warnings.map((w) => `Warning: ${w}`),
+        ];
+        report.textContent = lines.join('\n');
+    }
+
+    async function switchSet() {
+        const token = ++loading;
+        report.textContent = `Loading ${setSelect.value}…`;
+        try {
+            const next = await loadSet(setSelect.value);
+            if (token !== loading) return;
+            if (current) {
+                current.mergedTex.dispose();
+                for (const tex of current.originalTexs) tex.dispose();
+            }
+            current = next;
+            const level = Math.min(Number(levelSelect.value) || 0, next.merged.levelCount - 1);
+            levelSelect.replaceChildren(...next.merged.levels.map((_, i) => new Option(String(i), i)));
+            levelSelect.value = String(level);
+            show();
+        } catch (err) {
+            console.error('KTX2 diagnostics failed:', err);
+            if (token === loading) report.textContent = `Could not load ${setSelect.value}: ${err.message}`;
+        }
+    }
+
+    setSelect.addEventListener('change', switchSet);
+    layerSelect.addEventListener('change', show);
+    levelSelect.addEventListener('change', show);
+    modeSelect.addEventListener('change', show);
+    gainInput.addEventListener('input', show);
+    await switchSet();
+}
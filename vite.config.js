@@ -5,5 +5,9 @@ const repositoryName = process.env.GITHUB_REPOSITORY?.split('/')[1] ?? '';
 
 export default defineConfig({
     // Locally you still get “/”, but on Actions you get “/repositoryName/”
-    base: process.env.GITHUB_ACTIONS === 'true' ? `/${repositoryName}/` : '/'
+    base: process.env.GITHUB_ACTIONS === 'true' ? `/${repositoryName}/` : '/',
+    // zstd-wasm locates its .wasm via import.meta.url, which pre-bundling breaks
+    optimizeDeps: {
+        exclude: ['@bokuweb/zstd-wasm']
+    }
 });